@@ -0,0 +1,342 @@
+/* Daily Five — pure game logic shared by index.html and the node tests.
+   Loaded as a plain <script> (exposes window.DailyCore) or via require(). */
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory();
+  else root.DailyCore=factory();
+})(typeof self!=='undefined'?self:this,function(){
+'use strict';
+
+const ET_TZ='America/New_York';
+const LAUNCH={y:2025,m:8,d:24};
+
+/* YYYYMMDD of the ET puzzle day containing `now` */
+function etDay(now=new Date()){
+  return new Intl.DateTimeFormat('en-CA',{timeZone:ET_TZ,year:'numeric',month:'2-digit',day:'2-digit'}).format(now).replaceAll('-','');
+}
+/* YYYYMMDD ↔ UTC midnight, so day arithmetic never sees DST */
+function ymdUTC(d){ return Date.UTC(+d.slice(0,4),+d.slice(4,6)-1,+d.slice(6,8)); }
+function addDays(d,n){ return new Date(ymdUTC(d)+n*86400000).toISOString().slice(0,10).replaceAll('-',''); }
+function weekday(d){ return new Date(ymdUTC(d)).getUTCDay(); }
+function daysBetween(a,b){ return Math.round((ymdUTC(b)-ymdUTC(a))/86400000); }
+/* Daily Five #N — day 1 is the launch day */
+function dayNumber(now=new Date()){
+  return Math.floor((ymdUTC(etDay(now))-Date.UTC(LAUNCH.y,LAUNCH.m-1,LAUNCH.d))/86400000)+1;
+}
+/* the instant the next ET puzzle day starts (23h/25h days included) */
+function nextEtMidnight(now=new Date()){
+  const off=ms=>{
+    const p=new Intl.DateTimeFormat('en-US',{timeZone:ET_TZ,hourCycle:'h23',year:'numeric',month:'numeric',day:'numeric',hour:'numeric',minute:'numeric',second:'numeric'})
+      .formatToParts(new Date(ms)).reduce((a,x)=>(a[x.type]=+x.value,a),{});
+    return Date.UTC(p.year,p.month-1,p.day,p.hour,p.minute,p.second)-Math.floor(ms/1000)*1000;
+  };
+  const t=ymdUTC(addDays(etDay(now),1));
+  return new Date(t-off(t-off(t)));
+}
+
+/* seeded shuffle */
+function shuffle(arr,seed){
+  let s=seed>>>0, out=[...arr];
+  for(let i=out.length-1;i>0;i--){ s=(s*9301+49297)%233280; const j=Math.floor((s/233280)*(i+1)); [out[i],out[j]]=[out[j],out[i]]; }
+  return out;
+}
+
+/* question identity — must match qKey() in scripts/generate-daily.cjs (used.json, blocklist.json) */
+function fnv1a(str){
+  let h=0x811c9dc5;
+  for(let i=0;i<str.length;i++){ h^=str.charCodeAt(i); h=(h+((h<<1)+(h<<4)+(h<<7)+(h<<8)+(h<<24)))>>>0; }
+  return('0000000'+h.toString(16)).slice(-8);
+}
+function qKey(text,answer){
+  const norm=s=>String(s||'').replace(/\s+/g,' ').trim().toLowerCase();
+  return fnv1a(norm(text)+'|'+norm(answer));
+}
+
+/* Sealed answers — published sets carry no `correct` index. Each question has
+   a salt and check=mac(salt|qKey(text, answer)), where `mac` is keyed with the
+   server's secret (answerMac in netlify/lib/seal.cjs): only the generator and
+   /api/play can tell which option is right, and the page learns it from
+   /api/play once the answer is in. Older sets and the offline backup still
+   carry a plain `correct`. */
+function sealQuestion(q,salt,mac){
+  const{correct,...rest}=q;
+  return{...rest,salt,check:mac(salt+'|'+qKey(q.text,q.options[correct]))};
+}
+/* a sealed question with its `correct` index back (-1 if it was sealed with another key) */
+function unsealQuestion(q,mac){
+  if(!q.check) return q;
+  const{salt,check,...rest}=q;
+  return{...rest,correct:q.options.findIndex(o=>mac(salt+'|'+qKey(q.text,o))===check)};
+}
+/* index of the right option, or -1 while it's sealed */
+function answerIndex(q){ return Number.isInteger(q.correct)?q.correct:-1; }
+
+/* Scoring — a right answer is worth 100 plus 5 per whole second left on the
+   12s clock (a flat 100 in relaxed games); wrong answers and time-outs score 0. */
+const QUESTION_MS=12000;
+function pointsFor(ms,relaxed=false){ return relaxed?100:100+Math.max(0,12-Math.floor(ms/1000))*5; }
+/* An answer log — [{a: option index, or -1 when time ran out, ms}] in play
+   order — scored against the prepped, unsealed questions, as the server replays
+   it; `relaxed` scores it as a relaxed game. */
+function replayLog(qs,log,relaxed=false){
+  const results=log.map((e,i)=>e.a<0?'skip':e.a===answerIndex(qs[i])?'good':'bad');
+  const score=log.reduce((n,e,i)=>n+(results[i]==='good'?pointsFor(e.ms,relaxed):0),0);
+  return{correct:results.filter(r=>r==='good').length,score,results};
+}
+
+/* daily.json payload → the 5 questions in play order (2 easy, 2 medium, 1 hard),
+   options shuffled; sealed questions keep their seal, plain ones their `correct`
+   (as an index into the shuffled options) */
+function prepQs(data){
+  const seed=Number(data.day||0);
+  const hasDiff=Array.isArray(data.questions)&&data.questions.some(q=>q.difficulty);
+  let qs=(data.questions||[]).map((q,i)=>{
+    const opts=shuffle(q.options,seed+i*7);
+    const answer=q.check?{salt:q.salt,check:q.check}:{correct:opts.indexOf(q.options[q.correct])};
+    return{text:q.text,options:opts,...answer,difficulty:(q.difficulty||'').toLowerCase(),category:q.category||''};
+  });
+  if(hasDiff){
+    const b={easy:[],medium:[],hard:[]};
+    qs.forEach(q=>{(b[q.difficulty]||b.medium).push(q);});
+    qs=[...b.easy.slice(0,2),...b.medium.slice(0,2),...b.hard.slice(0,1)];
+    if(qs.length<5){const used=new Set(qs);qs=[...qs,...[...b.easy,...b.medium,...b.hard].filter(q=>!used.has(q))].slice(0,5);}
+  } else { qs=qs.slice(0,5); }
+  return qs;
+}
+
+/* Stats after playing the set for ET `day` (YYYYMMDD), or null if that day
+   was already recorded. Streaks continue when the last play was the day before.
+   `detail` ({score, q}) is kept in the history entry: q holds one
+   {r:'good'|'bad'|'skip', ms, d:difficulty, c:category} per question.
+   Badges are left alone — see unlockAchievements. */
+function applyPlay(s,correct,day=etDay(),detail){
+  if(s.lastDay===day) return null;
+  const streak=s.lastDay===addDays(day,-1)?s.streak+1:1;
+  const best=Math.max(streak,s.best), played=s.played+1, perfects=correct===5?s.perfects+1:s.perfects;
+  const history=[...s.history,{day,correct,...detail}];
+  return{streak,best,played,perfects,lastDay:day,history,badges:[...s.badges]};
+}
+
+/* Where a saved game picks up: the first unanswered question, plus the ms
+   already spent on it if that question was on screen when the game was saved. */
+function resumeAt(g,now=Date.now()){
+  const qi=(g.picks||[]).length;
+  return{qi,spent:g.qi===qi&&g.qStart?Math.max(0,now-g.qStart):0};
+}
+/* Whether a game takes today's slot: saved as today's game and recorded on the
+   daily (or relaxed) streak. Archive games keep their own record, and the
+   offline backup set is only practice — today's set is still there to play
+   once the player is back online. */
+function takesDay(g){ return!g.arc&&!g.backup; }
+
+/* Old saves keyed days on the local Date#toDateString(); map those onto
+   YYYYMMDD of the same calendar date so existing streaks carry over. A local
+   date can run ahead of the ET day, so a mapped day is never later than
+   yesterday — the migration mustn't mark today's set as played — and days
+   that collapse onto one keep the later entry. */
+function migrateDays(s,now=new Date()){
+  const yday=addDays(etDay(now),-1);
+  const key=v=>{
+    if(/^\d{8}$/.test(v||'')) return v;
+    const d=new Date(v);
+    if(!v||isNaN(d)) return '';
+    const k=`${d.getFullYear()}${String(d.getMonth()+1).padStart(2,'0')}${String(d.getDate()).padStart(2,'0')}`;
+    return k<yday?k:yday;
+  };
+  const byDay=new Map();
+  for(const h of s.history){ const e=h.day?h:{day:key(h.date),correct:h.correct}; if(e.day) byDay.set(e.day,e); }
+  const history=[...byDay.values()];
+  const lastDay=key(s.lastDay);
+  const changed=lastDay!==s.lastDay||history.length!==s.history.length||history.some((h,i)=>h!==s.history[i]);
+  return changed?{...s,lastDay,history}:null;
+}
+
+/* Locales — en is the original game; every other locale has its own daily
+   set (daily.<l>.json), archive (archive/<l>/) and its own streak. */
+const LOCALES=['en','es','fr'];
+/* first supported language in `prefs` (navigator.languages order), else en */
+function pickLocale(prefs=[]){
+  for(const p of prefs){ const l=String(p||'').toLowerCase().split(/[-_]/)[0]; if(LOCALES.includes(l)) return l; }
+  return 'en';
+}
+/* en keeps the original names, others get a suffix: daily.json → daily.es.json, df_streak → df_streak.es */
+function localeFile(name,locale){ return!locale||locale==='en'?name:name.replace(/(\.[^./]+)?$/,`.${locale}$1`); }
+function localeKey(key,locale){ return!locale||locale==='en'?key:`${key}.${locale}`; }
+/* t(key, vars) over string tables ({en:{…}, es:{…}}): the locale, then en, then
+   the key itself. {name} placeholders are filled from vars; when vars.n is a
+   number, key.one/key.other (by Intl.PluralRules) stand in for a missing key. */
+function translator(tables,locale){
+  const look=(table,lang)=>{
+    const plural=new Intl.PluralRules(lang);
+    return(key,vars)=>table[key]??(typeof vars.n==='number'?table[`${key}.${plural.select(vars.n)}`]??table[`${key}.other`]:undefined);
+  };
+  const own=look(tables[locale]||{},locale), en=look(tables.en||{},'en');
+  return(key,vars={})=>{
+    const s=own(key,vars)??en(key,vars);
+    return s==null?key:String(s).replace(/\{(\w+)\}/g,(m,k)=>k in vars?vars[k]:m);
+  };
+}
+
+/* Stats document — everything a player would hate to lose, as one versioned
+   object for export/import and sync. Bump DOC_VERSION (and teach readDoc the
+   old shape) whenever the layout changes. */
+const DOC_VERSION=4;   // 2: history entries carry score + per-question detail; 3: per-locale records; 4: relaxed records
+/* `locales` holds the non-en records as {es:{stats, archive, relaxed?}, …}; en stays at the top level.
+   `relaxed` is the record of relaxed (untimed) games, the same shape as stats, when there is one */
+function statsDoc(s,archive={},now=Date.now(),locales={},relaxed=null){
+  const pick=({streak,best,played,perfects,lastDay,history,badges})=>({streak,best,played,perfects,lastDay,history,badges});
+  const doc={app:'dailyfive',v:DOC_VERSION,updated:now,stats:pick(s),archive,...(relaxed&&{relaxed:pick(relaxed)})};
+  const extra=Object.entries(locales).filter(([l])=>l!=='en'&&LOCALES.includes(l));
+  if(extra.length) doc.locales=Object.fromEntries(extra.map(([l,r])=>[l,{stats:pick(r.stats),archive:r.archive||{},...(r.relaxed&&{relaxed:pick(r.relaxed)})}]));
+  return doc;
+}
+const isDayKey=v=>/^\d{8}$/.test(v), count=v=>Number.isInteger(v)&&v>=0?v:0;
+function readStats(s={}){
+  const history=(Array.isArray(s.history)?s.history:[])
+    .filter(h=>h&&isDayKey(h.day)&&Number.isInteger(h.correct)&&h.correct>=0&&h.correct<=5)
+    .map(h=>{
+      const e={day:h.day,correct:h.correct};
+      if(Number.isInteger(h.score)) e.score=h.score;
+      if(Array.isArray(h.q)) e.q=h.q.filter(q=>q&&['good','bad','skip'].includes(q.r)).map(q=>({r:q.r,ms:count(q.ms),d:String(q.d||''),c:String(q.c||'')}));
+      return e;
+    }).sort((a,b)=>a.day<b.day?-1:a.day>b.day?1:0);
+  return{
+    streak:count(s.streak),best:count(s.best),played:count(s.played),perfects:count(s.perfects),
+    lastDay:isDayKey(s.lastDay)?s.lastDay:'',history,
+    badges:[...new Set((Array.isArray(s.badges)?s.badges:[]).filter(b=>typeof b==='string'))],
+  };
+}
+function readArchive(a){
+  const archive={};
+  Object.entries(a&&typeof a==='object'?a:{}).forEach(([k,v])=>{
+    if(isDayKey(k)&&v&&Number.isInteger(v.correct)) archive[k]={correct:v.correct,score:count(v.score)};
+  });
+  return archive;
+}
+/* A parsed file, transfer code or server copy → a clean document. Throws with
+   a message fit for the player when it isn't one of ours. */
+function readDoc(d){
+  if(!d||typeof d!=='object'||d.app!=='dailyfive') throw new Error("That isn't a Daily Five stats file");
+  if(!(d.v>=1)) throw new Error('Unknown stats file version');
+  if(d.v>DOC_VERSION) throw new Error('That file is from a newer Daily Five — reload and try again');
+  const relaxed=r=>r.relaxed&&typeof r.relaxed==='object'?{relaxed:readStats(r.relaxed)}:{};
+  const doc={app:'dailyfive',v:DOC_VERSION,updated:count(d.updated),stats:readStats(d.stats),archive:readArchive(d.archive),...relaxed(d)};
+  const locales=LOCALES.filter(l=>l!=='en'&&d.locales&&d.locales[l]&&typeof d.locales[l]==='object');
+  if(locales.length) doc.locales=Object.fromEntries(locales.map(l=>[l,{stats:readStats(d.locales[l].stats),archive:readArchive(d.locales[l].archive),...relaxed(d.locales[l])}]));
+  return doc;
+}
+/* Merge two devices' documents; `a` wins ties. Merging is idempotent, so
+   syncing the same pair twice changes nothing. Each locale is merged on its own:
+   - history: union by day (the better score if both played it)
+   - streak: the later device's run, joined to the other's when the two touch
+   - played/perfects: the bigger count, plus plays only the other device saw
+     since the first day in the bigger one's history (before v2, history only
+     kept a week, so older solo plays can't be told apart)
+   - best: max; badges and archive: union
+   The relaxed records are merged the same way, apart from the standard ones. */
+function mergeStats(x,y){
+  const byDay=new Map();
+  [...x.history,...y.history].forEach(h=>{ const o=byDay.get(h.day); if(!o||h.correct>o.correct) byDay.set(h.day,h); });
+  const history=[...byDay.values()].sort((p,q)=>p.day<q.day?-1:1);
+
+  const[hi,lo]=x.lastDay>=y.lastDay?[x,y]:[y,x];
+  let streak=hi.streak;
+  if(hi.streak&&lo.streak&&lo.lastDay){
+    const hiStart=addDays(hi.lastDay,1-hi.streak), loStart=addDays(lo.lastDay,1-lo.streak);
+    if(lo.lastDay>=addDays(hiStart,-1)&&loStart<hiStart) streak=daysBetween(loStart,hi.lastDay)+1;
+  }
+
+  const[base,other]=x.played>=y.played?[x,y]:[y,x];
+  const known=new Set(base.history.map(h=>h.day)), since=base.history.length?base.history[0].day:'';
+  const extra=other.history.filter(h=>!known.has(h.day)&&h.day>=since);
+
+  return{streak,best:Math.max(x.best,y.best,streak),played:base.played+extra.length,
+    perfects:base.perfects+extra.filter(h=>h.correct===5).length,lastDay:hi.lastDay,history,
+    badges:[...new Set([...x.badges,...y.badges])]};
+}
+function mergeDocs(a,b){
+  const relaxed=(x,y)=>x.relaxed||y.relaxed?{relaxed:x.relaxed&&y.relaxed?mergeStats(x.relaxed,y.relaxed):x.relaxed||y.relaxed}:{};
+  const out={app:'dailyfive',v:DOC_VERSION,updated:Math.max(a.updated,b.updated),stats:mergeStats(a.stats,b.stats),archive:{...b.archive,...a.archive},...relaxed(a,b)};
+  const la=a.locales||{}, lb=b.locales||{}, locales=LOCALES.filter(l=>la[l]||lb[l]);
+  if(locales.length) out.locales=Object.fromEntries(locales.map(l=>{
+    const x=la[l], y=lb[l];
+    return[l,x&&y?{stats:mergeStats(x.stats,y.stats),archive:{...y.archive,...x.archive},...relaxed(x,y)}:x||y];
+  }));
+  return out;
+}
+
+/* The Trivia API's category slugs and OpenTDB's names, as one set of labels */
+const CAT_NAMES={general_knowledge:'General Knowledge',film:'Film',music:'Music',television:'Television',books:'Books',
+  science:'Science & Nature',geography:'Geography',sport_and_leisure:'Sports',celebrities:'Celebrities',
+  society_and_culture:'Society & Culture',food_and_drink:'Food & Drink',arts_and_literature:'Arts & Literature'};
+function catName(c){ return CAT_NAMES[c]||String(c).replace(/^Entertainment: /,''); }
+
+/* Stats screen numbers from the full history. Entries from before per-question
+   detail was kept count towards the distribution and calendar only. */
+function summarize(history){
+  const dist=[0,0,0,0,0,0], byDiff={}, byCat={}, days={};
+  let ms=0, answered=0;
+  const tally=(m,k,ok)=>{ const t=m[k]||(m[k]={right:0,n:0}); t.n++; if(ok) t.right++; };
+  history.forEach(h=>{
+    dist[h.correct]++; days[h.day]=h.correct;
+    (h.q||[]).forEach(q=>{
+      if(q.r!=='skip'&&q.ms>0){ ms+=q.ms; answered++; }
+      if(q.d) tally(byDiff,q.d,q.r==='good');
+      if(q.c) tally(byCat,catName(q.c),q.r==='good');
+    });
+  });
+  return{dist,avgMs:answered?Math.round(ms/answered):null,byDiff,byCat,days};
+}
+/* Achievements — definitions live in achievements.json as
+   {id, icon, name, desc, metric, goal, ...metric options}; each metric reads
+   the stats and the per-game history. Unlocks are kept forever, so a badge
+   stays earned even if its metric later drops (a streak ending). */
+function dayRuns(history,ok){
+  const out=[]; let prev='';
+  history.forEach(h=>{
+    if(!ok(h)){ prev=''; return; }
+    if(prev&&daysBetween(prev,h.day)===1) out[out.length-1]++; else out.push(1);
+    prev=h.day;
+  });
+  return out;
+}
+const longest=runs=>Math.max(0,...runs);
+const METRICS={
+  played:s=>s.played,
+  streak:s=>s.streak,
+  perfects:s=>s.perfects,
+  /* best game by number of correct answers faster than d.maxMs */
+  fastAnswers:(s,d)=>Math.max(0,...s.history.map(h=>(h.q||[]).filter(q=>q.r==='good'&&q.ms>0&&q.ms<d.maxMs).length)),
+  /* correct answers in d.category, across every game */
+  category:(s,d)=>s.history.reduce((a,h)=>a+(h.q||[]).filter(q=>q.r==='good'&&catName(q.c)===d.category).length,0),
+  perfectRun:s=>longest(dayRuns(s.history,h=>h.correct===5)),
+  hardRun:s=>longest(dayRuns(s.history,h=>(h.q||[]).some(q=>q.d==='hard'&&q.r==='good'))),
+  /* longest run of days played after a run of d.lost+ days was broken */
+  comeback:(s,d)=>{
+    const runs=dayRuns(s.history,()=>true);
+    let broke=false, best=0;
+    runs.forEach((n,i)=>{ if(broke) best=Math.max(best,n); if(n>=d.lost&&i<runs.length-1) broke=true; });
+    return best;
+  },
+};
+/* every definition with progress: {...def, value (capped at goal), unlocked} */
+function achievements(defs,s){
+  return defs.map(d=>{
+    const value=METRICS[d.metric]?METRICS[d.metric](s,d):0;
+    return{...d,value:Math.min(value,d.goal),unlocked:s.badges.includes(d.id)||value>=d.goal};
+  });
+}
+/* badges to store (old unlocks kept, unknown ids included) and the ones earned just now */
+function unlockAchievements(defs,s){
+  const fresh=achievements(defs,s).filter(a=>a.unlocked&&!s.badges.includes(a.id));
+  return{badges:[...s.badges,...fresh.map(a=>a.id)],fresh};
+}
+
+/* Calendar cells for month `ym` (YYYYMM): null padding up to the 1st's weekday, then each YYYYMMDD */
+function monthCells(ym){
+  const first=ym+'01', n=new Date(Date.UTC(+ym.slice(0,4),+ym.slice(4,6),0)).getUTCDate();
+  return[...Array(weekday(first)).fill(null),...Array.from({length:n},(_,i)=>addDays(first,i))];
+}
+
+return{ET_TZ,LAUNCH,etDay,addDays,weekday,daysBetween,dayNumber,nextEtMidnight,shuffle,qKey,sealQuestion,unsealQuestion,answerIndex,QUESTION_MS,pointsFor,replayLog,prepQs,applyPlay,resumeAt,takesDay,migrateDays,
+  LOCALES,pickLocale,localeFile,localeKey,translator,DOC_VERSION,statsDoc,readDoc,mergeDocs,catName,summarize,METRICS,achievements,unlockAchievements,monthCells};
+});
@@ -0,0 +1,131 @@
+/**
+ * Friends leagues — /api/leagues
+ *
+ * A league code (e.g. "K7QM-3XPA") is the invite: whoever has it can see the
+ * league and join it. Scores come from verified games only (see
+ * netlify/lib/leagues.mjs), in the locale the league was created for.
+ *
+ *   POST    { cid, name, player, locale? }  → { code, league } — a new league, with you in it
+ *   PUT     { cid, code, player }           → { code, league } — join, or change your name in it
+ *   DELETE  { cid, code }                   → { left: true }
+ *   GET     ?code=&day=&cid=                → { code, league } — the leaderboards for `day` (default today)
+ *   GET     ?codes=A,B&day=&cid=            → { leagues: [{ code, league }…], missing: [code…] } — up to MAX_LEAGUES at once
+ *
+ * `league` is leagueView's { name, locale, members, day, today, all }; rows for
+ * the `cid` given are marked `you`. Joining on a day you already played counts
+ * that game straight away. Only the writes are rate limited, per client; a GET
+ * only reads.
+ *
+ * Blobs (store "leagues"): see netlify/lib/leagues.mjs, plus rl/<client hash> for the rate limit.
+ */
+import DailyCore from '../../daily-core.js';
+import { openStore } from '../lib/store.mjs';
+import { json, fail, readJson, isDay, clientKey, hashOf, rateLimited, newCode, normCode } from '../lib/http.mjs';
+import { MAX_MEMBERS, MAX_LEAGUES, NAME_MAX, cleanName, newMember, addGame, leagueView } from '../lib/leagues.mjs';
+
+export const LIMIT = { max: 120, windowMs: 60 * 60 * 1000 };
+
+async function view(store, code, league, id, day) {
+  const scores = (await store.get(`scores/${hashOf(code)}/${day}`, { type: 'json' })) || {};
+  return leagueView(league, scores, id, day);
+}
+
+async function respond(store, code, league, id, day, status = 200) {
+  return json({ code, league: await view(store, code, league, id, day) }, status);
+}
+
+/** Adds `id` to the league, counting today's verified game if they already played it. */
+async function enlist(store, lh, league, id, player, day) {
+  const mine = (await store.get(`player/${id}`, { type: 'json' })) || [];
+  if (!mine.includes(lh)) {
+    if (mine.length >= MAX_LEAGUES) return `you can be in at most ${MAX_LEAGUES} leagues`;
+    await store.setJSON(`player/${id}`, [...mine, lh]);
+  }
+  league.members[id] = newMember(player, day);
+  const seen = await openStore('stats').get(`seen/${DailyCore.localeKey(day, league.locale)}/${id}`, { type: 'json' });
+  if (seen && addGame(league.members[id], day, seen)) {
+    const key = `scores/${lh}/${day}`;
+    await store.setJSON(key, { ...(await store.get(key, { type: 'json' })), [id]: seen });
+  }
+  return null;
+}
+
+export default async (req) => {
+  const store = openStore('leagues');
+  const today = DailyCore.etDay();
+
+  if (req.method === 'GET') {
+    const url = new URL(req.url);
+    const day = url.searchParams.get('day') || today;
+    if (!isDay(day)) return fail(400, 'day must be YYYYMMDD');
+    const id = clientKey(url.searchParams.get('cid'));
+    if (url.searchParams.has('codes')) {
+      const codes = [...new Set(url.searchParams.get('codes').split(',').map(normCode))];
+      if (codes.includes(null)) return fail(400, 'invalid code');
+      if (!codes.length || codes.length > MAX_LEAGUES) return fail(400, `codes must list 1-${MAX_LEAGUES} leagues`);
+      const leagues = [], missing = [];
+      for (const code of codes) {
+        const league = await store.get(`league/${hashOf(code)}`, { type: 'json' });
+        if (league) leagues.push({ code, league: await view(store, code, league, id, day) });
+        else missing.push(code);
+      }
+      return json({ leagues, missing });
+    }
+    const code = normCode(url.searchParams.get('code'));
+    if (!code) return fail(400, 'invalid code');
+    const league = await store.get(`league/${hashOf(code)}`, { type: 'json' });
+    return league ? respond(store, code, league, id, day) : fail(404, 'unknown league');
+  }
+
+  const body = await readJson(req);
+  if (!body) return fail(400, 'expected a JSON body');
+  const id = clientKey(body.cid);
+  if (!id) return fail(400, 'missing client id');
+  if (await rateLimited(store, id, LIMIT)) return fail(429, 'too many requests');
+
+  if (req.method === 'POST') {
+    const name = cleanName(body.name, NAME_MAX.league);
+    if (!name) return fail(400, `name must be 1-${NAME_MAX.league} characters`);
+    const player = cleanName(body.player, NAME_MAX.player);
+    if (!player) return fail(400, `player must be 1-${NAME_MAX.player} characters`);
+    const locale = body.locale ?? 'en';
+    if (!DailyCore.LOCALES.includes(locale)) return fail(400, `locale must be one of ${DailyCore.LOCALES.join(', ')}`);
+    const code = newCode(), lh = hashOf(code);
+    const league = { name, locale, created: today, members: {} };
+    const bad = await enlist(store, lh, league, id, player, today);
+    if (bad) return fail(400, bad);
+    await store.setJSON(`league/${lh}`, league);
+    return respond(store, code, league, id, today, 201);
+  }
+
+  const code = normCode(body.code);
+  if (!code) return fail(400, 'invalid code');
+  const lh = hashOf(code);
+  const league = await store.get(`league/${lh}`, { type: 'json' });
+  if (!league) return fail(404, 'unknown league');
+
+  if (req.method === 'PUT') {
+    const player = cleanName(body.player, NAME_MAX.player);
+    if (!player) return fail(400, `player must be 1-${NAME_MAX.player} characters`);
+    if (league.members[id]) {
+      league.members[id].name = player;
+    } else {
+      if (Object.keys(league.members).length >= MAX_MEMBERS) return fail(409, `league is full (${MAX_MEMBERS} players)`);
+      const bad = await enlist(store, lh, league, id, player, today);
+      if (bad) return fail(400, bad);
+    }
+    await store.setJSON(`league/${lh}`, league);
+    return respond(store, code, league, id, today);
+  }
+  if (req.method === 'DELETE') {
+    delete league.members[id];
+    const mine = (await store.get(`player/${id}`, { type: 'json' })) || [];
+    await store.setJSON(`player/${id}`, mine.filter(h => h !== lh));
+    if (Object.keys(league.members).length) await store.setJSON(`league/${lh}`, league);
+    else await store.delete(`league/${lh}`);
+    return json({ left: true });
+  }
+  return fail(405, 'method not allowed');
+};
+
+export const config = { path: '/api/leagues' };
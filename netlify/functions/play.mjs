@@ -0,0 +1,93 @@
+/**
+ * Answers and the signed answer log — /api/play
+ *
+ *   POST { cid, day: 'YYYYMMDD', locale?, relaxed?, offline? } → { ticket, n: 0 }               as the game starts
+ *   POST { ticket, a, ms }                                     → { ticket, n, correct, late? } after each answer, in order
+ *   POST { ticket, resume: true }                              → { ticket, n }                 as a question goes up after time away
+ *   GET  ?day=&locale=                                         → { day, locale, answers }      once the day is over
+ *
+ * Published sets are sealed, so the page plays today's set through here: only
+ * the set being played today can be started (see isLiveDay), and each answer
+ * comes back with `correct`, the option that was right. `a` is the option
+ * picked (index into the question as prepQs shuffled it, -1 when time ran out),
+ * `ms` how long it took. Each answer also comes back as a new ticket holding
+ * everything so far, and the fifth one is what the page hands to /api/stats.
+ * An answer that fails the timing check is still logged, but marks the ticket
+ * `late` so the game can't be counted, and the page can say so; relaxed games
+ * aren't timed and never count. Nor do `offline` ones — games played from the
+ * saved set without a connection, whose answers the page sends once it is back
+ * and whose times the server never saw. Only a game's newest ticket can be
+ * answered or resumed (409 otherwise) — resending the one before with the same
+ * answer gets the same reply back, for a page whose reply was lost on the way.
+ * Archive games ask for a past day's `answers` (the right option of each
+ * question, in play order) up front.
+ * See netlify/lib/play.mjs for the format and the timing check; 503 when
+ * PLAY_SECRET isn't set.
+ */
+import DailyCore from '../../daily-core.js';
+import { openStore } from '../lib/store.mjs';
+import { json, fail, readJson, isDay, clientKey } from '../lib/http.mjs';
+import { playSecret, signTicket, openTicket, checkAnswer, isLate, isLiveDay, openSet, startGame, stepOf, takeStep } from '../lib/play.mjs';
+
+const localeError = `locale must be one of ${DailyCore.LOCALES.join(', ')}`;
+
+export default async (req) => {
+  const now = Date.now();
+  const secret = playSecret();
+  if (!secret) return fail(503, 'play signing is not configured');
+  const site = process.env.URL || new URL(req.url).origin;
+
+  if (req.method === 'GET') {
+    const url = new URL(req.url);
+    const day = url.searchParams.get('day'), locale = url.searchParams.get('locale') || 'en';
+    if (!isDay(day)) return fail(400, 'day must be YYYYMMDD');
+    if (!DailyCore.LOCALES.includes(locale)) return fail(400, localeError);
+    if (day >= DailyCore.etDay(new Date(now)) || (await isLiveDay(day, locale, now, site))) return fail(403, `answers for ${day} are not out yet`);
+    const qs = await openSet(day, locale, { secret, site, now });
+    if (!qs) return fail(404, `no published set for ${day}`);
+    return json({ day, locale, answers: qs.map(q => q.correct) });
+  }
+  if (req.method !== 'POST') return fail(405, 'method not allowed');
+  const body = await readJson(req);
+  if (!body) return fail(400, 'expected a JSON body');
+  const store = openStore('play');
+
+  if (body.ticket === undefined) {
+    const id = clientKey(body.cid);
+    if (!id) return fail(400, 'missing client id');
+    if (!isDay(body.day)) return fail(400, 'day must be YYYYMMDD');
+    const locale = body.locale ?? 'en';
+    if (!DailyCore.LOCALES.includes(locale)) return fail(400, localeError);
+    if (!(await isLiveDay(body.day, locale, now, site))) return fail(400, `${body.day} is not being played now`);
+    if (!(await openSet(body.day, locale, { secret, site, now }))) return fail(404, `no published set for ${body.day}`);
+    const t = await startGame(store, {
+      day: body.day, locale, cid: id, ...(body.relaxed === true && { relaxed: true }), ...(body.offline === true && { offline: true }), at: [now], log: [],
+    });
+    return json({ ticket: signTicket(t, secret), n: 0 });
+  }
+
+  const t = openTicket(body.ticket, secret);
+  if (!t) return fail(400, 'ticket is not valid');
+  if (body.resume === true) {
+    if (t.log.length >= 5) return fail(400, 'all 5 answers are already in');
+    if ((await stepOf(store, t)).state !== 'current') return fail(409, 'this ticket has already been answered');
+    t.at[t.at.length - 1] = now;
+    return json({ ticket: signTicket(t, secret), n: t.log.length });
+  }
+  const bad = checkAnswer(t, body);
+  if (bad) return fail(400, bad);
+  const step = await stepOf(store, t, body);
+  if (step.state === 'resent') return json(step.reply);
+  if (step.state !== 'current') return fail(409, 'this ticket has already been answered');
+  const qs = await openSet(t.day, t.locale, { secret, site, now });
+  if (!qs) return fail(404, `no published set for ${t.day}`);
+  if (!t.relaxed && !t.offline && isLate(t, body, now)) t.late = true;
+  t.at.push(now);
+  t.log.push({ a: body.a, ms: body.ms });
+  const n = t.log.length;
+  const reply = { ticket: signTicket(t, secret), n, correct: qs[n - 1].correct, ...(t.late && { late: true }) };
+  await takeStep(store, t, body, reply);
+  return json(reply);
+};
+
+export const config = { path: '/api/play' };
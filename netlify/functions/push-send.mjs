@@ -0,0 +1,56 @@
+/**
+ * Scheduled push sender — runs hourly.
+ *
+ *   - once the deployed daily.json is today's set, announces it ("Daily Five #N is live"),
+ *     to each subscriber in their locale with that locale's theme when its set is out too
+ *   - at 8pm ET, reminds players whose streak would end at midnight
+ *
+ * Each kind goes out at most once per puzzle day (meta/announced, meta/reminded).
+ * Locally: `POST /.netlify/functions/push-send` on the dev server, or call run().
+ */
+import DailyCore from '../../daily-core.js';
+import { openStore } from '../lib/store.mjs';
+import { json } from '../lib/http.mjs';
+import { vapid, etHour, liveMessage, reminderFor, webpushSender, broadcast, REMINDER_HOUR } from '../lib/push.mjs';
+
+async function fetchDaily(site, locale) {
+  const file = DailyCore.localeFile('daily.json', locale);
+  const res = await fetch(new URL(`/${file}`, site), { cache: 'no-store' });
+  if (!res.ok) throw new Error(`${file}: HTTP ${res.status}`);
+  return res.json();
+}
+
+export async function run({ store, now = new Date(), getDaily, send }) {
+  const day = DailyCore.etDay(now);
+  const report = { day };
+
+  if ((await store.get('meta/announced', { type: 'json' })) !== day) {
+    const daily = await getDaily('en').catch(e => ({ error: e.message }));
+    if (daily.error) report.live = { error: daily.error };
+    else if (String(daily.day) === day) {
+      const msgs = {};
+      for (const locale of DailyCore.LOCALES) {
+        const own = locale === 'en' ? daily : await getDaily(locale).catch(() => null);
+        msgs[locale] = liveMessage(own && String(own.day) === day ? own : { day, dayIndex: daily.dayIndex }, locale);
+      }
+      report.live = await broadcast(store, rec => msgs[rec.locale] || msgs.en, send);
+      await store.setJSON('meta/announced', day);
+    }
+  }
+  if (etHour(now) >= REMINDER_HOUR && (await store.get('meta/reminded', { type: 'json' })) !== day) {
+    report.reminder = await broadcast(store, rec => reminderFor(rec, day), send);
+    await store.setJSON('meta/reminded', day);
+  }
+  return report;
+}
+
+export default async (req) => {
+  const keys = vapid();
+  if (!keys) return json({ skipped: 'push is not configured' });
+  const site = process.env.URL || new URL(req.url).origin;
+  const report = await run({ store: openStore('push'), getDaily: locale => fetchDaily(site, locale), send: webpushSender(keys) });
+  console.log('push-send', JSON.stringify(report));
+  return json(report);
+};
+
+export const config = { schedule: '@hourly' };
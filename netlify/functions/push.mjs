@@ -0,0 +1,68 @@
+/**
+ * Push subscriptions — /api/push
+ *
+ *   GET     → { publicKey } for pushManager.subscribe(), 503 when push isn't configured
+ *   POST    { subscription, locale, streak, lastDay } → stores or refreshes the subscription
+ *   DELETE  { endpoint } → forgets it
+ *
+ * sw.js also POSTs { subscription, previous } on pushsubscriptionchange.
+ *
+ * POST and DELETE are rate limited per IP (rl/<hash of ip>), bodies over
+ * MAX_BODY bytes are refused, and new endpoints are turned away once the store
+ * holds PUSH_MAX_SUBSCRIPTIONS (default MAX_SUBSCRIPTIONS) of them, which keeps
+ * the fan-out in push-send.mjs bounded.
+ */
+import DailyCore from '../../daily-core.js';
+import { openStore } from '../lib/store.mjs';
+import { json, fail, readJson, isDay, hashOf, rateLimited } from '../lib/http.mjs';
+import { vapid, subKey, validSubscription } from '../lib/push.mjs';
+
+export const LIMIT = { max: 60, windowMs: 60 * 60 * 1000 };
+export const MAX_BODY = 4096;
+export const MAX_SUBSCRIPTIONS = 50000;
+
+async function full(store) {
+  const max = Number(process.env.PUSH_MAX_SUBSCRIPTIONS) || MAX_SUBSCRIPTIONS;
+  const { blobs } = await store.list({ prefix: 'sub/' });
+  return blobs.length >= max;
+}
+
+export default async (req, context = {}) => {
+  const keys = vapid();
+  if (!keys) return fail(503, 'push is not configured');
+  if (req.method === 'GET') return json({ publicKey: keys.publicKey });
+
+  const store = openStore('push');
+  if (await rateLimited(store, hashOf(context.ip || 'local'), LIMIT)) return fail(429, 'too many requests');
+  if (Number(req.headers.get('content-length')) > MAX_BODY) return fail(413, 'request body too large');
+  const body = await readJson(req, MAX_BODY);
+  if (!body) return fail(400, 'expected a JSON body');
+
+  if (req.method === 'DELETE') {
+    if (typeof body.endpoint !== 'string') return fail(400, 'missing endpoint');
+    await store.delete(subKey(body.endpoint));
+    return json({ ok: true });
+  }
+  if (req.method !== 'POST') return fail(405, 'method not allowed');
+
+  const { subscription } = body;
+  if (!validSubscription(subscription)) return fail(400, 'invalid subscription');
+  const key = subKey(subscription.endpoint);
+  let prior = await store.get(key, { type: 'json' });
+  if (typeof body.previous === 'string' && body.previous !== subscription.endpoint) {
+    // the browser rotated the subscription — carry the streak over to the new endpoint
+    prior ||= await store.get(subKey(body.previous), { type: 'json' });
+    await store.delete(subKey(body.previous));
+  }
+  if (!prior && await full(store)) return fail(503, 'no room for more subscriptions');
+  const streak = Number.isInteger(body.streak) && body.streak >= 0 ? body.streak : prior?.streak || 0;
+  const lastDay = isDay(body.lastDay) ? body.lastDay : prior?.lastDay || '';
+  const locale = DailyCore.LOCALES.includes(body.locale) ? body.locale : prior?.locale || 'en';
+  await store.setJSON(key, {
+    subscription: { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth } },
+    locale, streak, lastDay, updated: Date.now(),
+  });
+  return json({ ok: true });
+};
+
+export const config = { path: '/api/push' };
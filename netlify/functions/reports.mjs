@@ -0,0 +1,119 @@
+/**
+ * Question reports — /api/reports
+ *
+ * Players flag a question from the results screen; moderators work the queue
+ * with scripts/reports.cjs, and confirmed reports end up in blocklist.json,
+ * which the generator reads alongside used.json.
+ *
+ *   POST   { cid, day, locale?, text, answer, reason, note? } → { day, key, count }
+ *          reason is one of REASONS; one report per client per question
+ *   GET    ?status=open|confirmed|dismissed|all         → { reports: [...] }    (moderators)
+ *   PATCH  { day, key, status: 'confirmed'|'dismissed' } → { report }           (moderators)
+ *
+ * Moderator calls need `Authorization: Bearer $REPORTS_TOKEN`; with no token
+ * configured they are refused outright.
+ *
+ * Blobs (store "reports"):
+ *   report/<day>/<qKey>  { day, key, locale, text, answer, status, reasons: {reason: n}, notes[], reporters[], first, last }
+ *   rl/<hash>            recent report times for the rate limit
+ */
+import crypto from 'node:crypto';
+import DailyCore from '../../daily-core.js';
+import { openStore } from '../lib/store.mjs';
+import { json, fail, readJson, isDay, clientKey, rateLimited } from '../lib/http.mjs';
+
+export const REASONS = ['wrong', 'ambiguous', 'offensive', 'typo'];
+export const STATUSES = ['open', 'confirmed', 'dismissed'];
+export const LIMIT = { max: 20, windowMs: 60 * 60 * 1000 };
+const MAX_TEXT = 300, MAX_NOTE = 280, MAX_NOTES = 20;
+
+/** Returns an error message, or null when the report is well-formed. */
+export function validate(b) {
+  if (!isDay(b.day)) return 'day must be YYYYMMDD';
+  if (b.locale != null && !DailyCore.LOCALES.includes(b.locale)) return `locale must be one of ${DailyCore.LOCALES.join(', ')}`;
+  if (typeof b.text !== 'string' || !b.text.trim() || b.text.length > MAX_TEXT) return 'text is required';
+  if (typeof b.answer !== 'string' || !b.answer.trim() || b.answer.length > MAX_TEXT) return 'answer is required';
+  if (!REASONS.includes(b.reason)) return `reason must be one of ${REASONS.join(', ')}`;
+  if (b.note != null && (typeof b.note !== 'string' || b.note.length > MAX_NOTE)) return `note must be at most ${MAX_NOTE} characters`;
+  return null;
+}
+
+export function newReport(day, text, answer, now, locale = 'en') {
+  return {
+    day, key: DailyCore.qKey(text, answer), locale, text: text.trim(), answer: answer.trim(), status: 'open',
+    reasons: Object.fromEntries(REASONS.map(r => [r, 0])), notes: [], reporters: [], first: now, last: now,
+  };
+}
+
+/** Counts one client's report; returns false when that client already reported this question. */
+export function addReport(doc, id, { reason, note }, now) {
+  if (doc.reporters.includes(id)) return false;
+  doc.reporters.push(id);
+  doc.reasons[reason]++;
+  if (note && note.trim() && doc.notes.length < MAX_NOTES) doc.notes.push(note.trim());
+  doc.last = now;
+  return true;
+}
+
+/** The moderator's view: no reporter hashes, plus a total. */
+export function publicReport({ reporters, ...doc }) {
+  return { ...doc, count: reporters.length };
+}
+
+function isModerator(req, token = process.env.REPORTS_TOKEN) {
+  if (!token) return false;
+  const given = Buffer.from((req.headers.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const want = Buffer.from(token);
+  return given.length === want.length && crypto.timingSafeEqual(given, want);
+}
+
+export default async (req) => {
+  const store = openStore('reports');
+
+  if (req.method === 'POST') {
+    const body = await readJson(req);
+    if (!body) return fail(400, 'expected a JSON body');
+    const id = clientKey(body.cid);
+    if (!id) return fail(400, 'missing client id');
+    const bad = validate(body);
+    if (bad) return fail(400, bad);
+
+    const now = new Date().toISOString();
+    const fresh = newReport(body.day, body.text, body.answer, now, body.locale || 'en');
+    const key = `report/${body.day}/${fresh.key}`;
+    const doc = (await store.get(key, { type: 'json' })) || fresh;
+    if (!doc.reporters.includes(id)) {
+      if (await rateLimited(store, id, LIMIT)) return fail(429, 'too many reports');
+      addReport(doc, id, body, now);
+      await store.setJSON(key, doc);
+    }
+    return json({ day: doc.day, key: doc.key, count: doc.reporters.length });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PATCH') return fail(405, 'method not allowed');
+  if (!isModerator(req)) return fail(403, 'moderator token required');
+
+  if (req.method === 'GET') {
+    const status = new URL(req.url).searchParams.get('status') || 'open';
+    if (status !== 'all' && !STATUSES.includes(status)) return fail(400, `status must be all or one of ${STATUSES.join(', ')}`);
+    const { blobs } = await store.list({ prefix: 'report/' });
+    const docs = await Promise.all(blobs.map(b => store.get(b.key, { type: 'json' })));
+    const reports = docs.filter(d => d && (status === 'all' || d.status === status)).map(publicReport)
+      .sort((a, b) => b.count - a.count || (a.day < b.day ? 1 : -1));
+    return json({ reports });
+  }
+
+  const body = await readJson(req);
+  if (!body) return fail(400, 'expected a JSON body');
+  if (!isDay(body.day) || !/^[0-9a-f]{8}$/.test(body.key || '')) return fail(400, 'day and key are required');
+  if (!['confirmed', 'dismissed'].includes(body.status)) return fail(400, 'status must be confirmed or dismissed');
+  const key = `report/${body.day}/${body.key}`;
+  const doc = await store.get(key, { type: 'json' });
+  if (!doc) return fail(404, 'no such report');
+  doc.status = body.status;
+  doc.resolved = new Date().toISOString();
+  await store.setJSON(key, doc);
+  return json({ report: publicReport(doc) });
+};
+
+export const config = { path: '/api/reports' };
@@ -0,0 +1,126 @@
+/**
+ * Daily score distribution — POST /api/stats, GET /api/stats?day=&score=
+ *
+ * POST takes an anonymous submission
+ *   { cid, day: 'YYYYMMDD', locale?, correct: 0-5, score, results: ['good'|'bad'|'skip' ×5], ticket }
+ * where `ticket` is the game's signed answer log from /api/play. The log is
+ * replayed against the published set (time bonus included) and the submission
+ * is refused unless it adds up to the same correct/score/results, or the ticket
+ * isn't the last step of the client's first game of the day. A verified
+ * game is counted once per client per day, and answered with the day's distribution:
+ *   { day, players, percentile, dist: [n with 0..5 correct], questions: [% right ×5] }
+ * `percentile` is the share of *other* players with a lower score (null when
+ * you're the only one so far). GET returns the same without recording anything.
+ * Each locale plays its own set, so `locale` (default en, also ?locale= on GET)
+ * picks which day is counted. A verified game also counts in the player's
+ * friends leagues for that locale (netlify/lib/leagues.mjs).
+ *
+ * Blobs (store "stats"); keys for a locale other than en carry a .<locale> suffix:
+ *   day/<day>          { n, dist, scores: { [score]: count }, right: [×5] }   (day/<day>.es …)
+ *   seen/<day>/<hash>  { correct, score } — a repeat submission is not counted twice
+ *   rl/<hash>          recent submission times for the rate limit
+ */
+import DailyCore from '../../daily-core.js';
+import { openStore } from '../lib/store.mjs';
+import { json, fail, readJson, isDay, clientKey, rateLimited } from '../lib/http.mjs';
+import { verifyPlay } from '../lib/play.mjs';
+import { recordGame } from '../lib/leagues.mjs';
+
+export const MAX_SCORE = 5 * (100 + 12 * 5);
+export const LIMIT = { max: 10, windowMs: 60 * 60 * 1000 };
+const RESULTS = new Set(['good', 'bad', 'skip']);
+
+export function validLocale(l) {
+  return l == null || DailyCore.LOCALES.includes(l);
+}
+/** Blob key of a day's tally for `locale`: day/<day> for en, day/<day>.<locale> otherwise. */
+export function dayKey(day, locale) {
+  return DailyCore.localeKey(`day/${day}`, locale);
+}
+
+/** Returns an error message, or null when the submission is well-formed and self-consistent. */
+export function validate(b) {
+  if (!isDay(b.day)) return 'day must be YYYYMMDD';
+  if (!validLocale(b.locale)) return `locale must be one of ${DailyCore.LOCALES.join(', ')}`;
+  if (!Array.isArray(b.results) || b.results.length !== 5 || !b.results.every(r => RESULTS.has(r))) {
+    return 'results must be 5 of good/bad/skip';
+  }
+  if (b.correct !== b.results.filter(r => r === 'good').length) return 'correct does not match results';
+  if (!Number.isInteger(b.score) || b.score < 0 || b.score > MAX_SCORE) return 'score out of range';
+  if ((b.correct === 0) !== (b.score === 0)) return 'score does not match results';
+  if (typeof b.ticket !== 'string' || !b.ticket) return 'ticket is required (see /api/play)';
+  return null;
+}
+
+export function emptyDay() {
+  return { n: 0, dist: [0, 0, 0, 0, 0, 0], scores: {}, right: [0, 0, 0, 0, 0] };
+}
+
+export function tally(doc, { correct, score, results }) {
+  doc.n++;
+  doc.dist[correct]++;
+  doc.scores[score] = (doc.scores[score] || 0) + 1;
+  results.forEach((r, i) => { if (r === 'good') doc.right[i]++; });
+  return doc;
+}
+
+/** The public view of a day. `score` is the caller's own, already counted in `doc` when `counted`. */
+export function summarize(day, doc, score, counted = false) {
+  const others = doc.n - (counted ? 1 : 0);
+  let percentile = null;
+  if (score != null && others > 0) {
+    const below = Object.entries(doc.scores).reduce((a, [s, c]) => a + (Number(s) < score ? c : 0), 0);
+    percentile = Math.round((below / others) * 100);
+  }
+  return {
+    day,
+    players: doc.n,
+    percentile,
+    dist: doc.dist,
+    questions: doc.right.map(r => (doc.n ? Math.round((r / doc.n) * 100) : null)),
+  };
+}
+
+export default async (req) => {
+  const store = openStore('stats');
+
+  if (req.method === 'GET') {
+    const url = new URL(req.url);
+    const day = url.searchParams.get('day');
+    if (!isDay(day)) return fail(400, 'day must be YYYYMMDD');
+    const locale = url.searchParams.get('locale');
+    if (!validLocale(locale)) return fail(400, `locale must be one of ${DailyCore.LOCALES.join(', ')}`);
+    const raw = url.searchParams.get('score');
+    const score = raw != null && /^\d+$/.test(raw) ? Number(raw) : null;
+    const doc = (await store.get(dayKey(day, locale), { type: 'json' })) || emptyDay();
+    return json(summarize(day, doc, score));
+  }
+  if (req.method !== 'POST') return fail(405, 'method not allowed');
+
+  const body = await readJson(req);
+  if (!body) return fail(400, 'expected a JSON body');
+  const id = clientKey(body.cid);
+  if (!id) return fail(400, 'missing client id');
+  const bad = validate(body);
+  if (bad) return fail(400, bad);
+
+  const key = dayKey(body.day, body.locale), seenKey = `seen/${DailyCore.localeKey(body.day, body.locale)}/${id}`;
+  const prior = await store.get(seenKey, { type: 'json' });
+  if (prior) {
+    // already counted — answer with the score that was recorded, not the resent one
+    const doc = (await store.get(key, { type: 'json' })) || emptyDay();
+    return json(summarize(body.day, doc, prior.score, true));
+  }
+  if (await rateLimited(store, id, LIMIT)) return fail(429, 'too many submissions');
+  const site = process.env.URL || new URL(req.url).origin;
+  const { played, status, error } = await verifyPlay(body, id, { store: openStore('play'), site });
+  if (error) return fail(status, error);
+
+  const doc = tally((await store.get(key, { type: 'json' })) || emptyDay(), played);
+  await store.setJSON(key, doc);
+  await store.setJSON(seenKey, { correct: played.correct, score: played.score });
+  await recordGame(openStore('leagues'), id, body.day, body.locale, played, { site });
+  return json(summarize(body.day, doc, played.score, true));
+};
+
+export const config = { path: '/api/stats' };
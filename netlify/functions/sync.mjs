@@ -0,0 +1,70 @@
+/**
+ * Stats sync — /api/sync
+ *
+ * A sync code (e.g. "K7QM-3XPA") is the only credential: whoever has it can
+ * read and merge into that player's stats document (see statsDoc in daily-core.js).
+ *
+ *   POST  { doc }        → { code, doc } — a new code holding this document
+ *   PUT   { code, doc }  → { code, doc } — merged with the stored copy, which is saved
+ *   GET   ?code=         → { code, doc }
+ *   GET   ?code=&qr=1    → SVG QR code of the link that opens the site with this code
+ *
+ * Blobs (store "sync"): doc/<hash of code>, plus rl/<hash of ip> for the rate limit.
+ */
+import QRCode from 'qrcode';
+import DailyCore from '../../daily-core.js';
+import { openStore } from '../lib/store.mjs';
+import { json, fail, readJson, hashOf, rateLimited, newCode, normCode } from '../lib/http.mjs';
+
+export const LIMIT = { max: 120, windowMs: 60 * 60 * 1000 };
+export { newCode, normCode };
+
+function parseDoc(raw) {
+  try {
+    return DailyCore.readDoc(raw);
+  } catch {
+    return null;
+  }
+}
+
+export default async (req, context = {}) => {
+  const store = openStore('sync');
+  if (await rateLimited(store, hashOf(context.ip || 'local'), LIMIT)) return fail(429, 'too many requests');
+
+  if (req.method === 'GET') {
+    const url = new URL(req.url);
+    const code = normCode(url.searchParams.get('code'));
+    if (!code) return fail(400, 'invalid code');
+    if (url.searchParams.get('qr')) {
+      const link = new URL(`/#sync=${code}`, process.env.URL || url.origin).href;
+      const svg = await QRCode.toString(link, { type: 'svg', margin: 1 });
+      return new Response(svg, { headers: { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'private, max-age=86400' } });
+    }
+    const doc = await store.get(`doc/${hashOf(code)}`, { type: 'json' });
+    return doc ? json({ code, doc }) : fail(404, 'unknown code');
+  }
+
+  const body = await readJson(req);
+  if (!body) return fail(400, 'expected a JSON body');
+  const doc = parseDoc(body.doc);
+  if (!doc) return fail(400, 'invalid stats document');
+
+  if (req.method === 'POST') {
+    const code = newCode();
+    await store.setJSON(`doc/${hashOf(code)}`, doc);
+    return json({ code, doc }, 201);
+  }
+  if (req.method === 'PUT') {
+    const code = normCode(body.code);
+    if (!code) return fail(400, 'invalid code');
+    const key = `doc/${hashOf(code)}`;
+    const stored = await store.get(key, { type: 'json' });
+    if (!stored) return fail(404, 'unknown code');
+    const merged = DailyCore.mergeDocs(doc, parseDoc(stored) || doc);
+    await store.setJSON(key, merged);
+    return json({ code, doc: merged });
+  }
+  return fail(405, 'method not allowed');
+};
+
+export const config = { path: '/api/sync' };
@@ -0,0 +1,72 @@
+/**
+ * Small helpers shared by the functions: JSON responses, body parsing,
+ * anonymous client ids, shareable codes and a sliding-window rate limit kept
+ * in a blob store.
+ */
+import crypto from 'node:crypto';
+
+export function json(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers },
+  });
+}
+
+export function fail(status, error) {
+  return json({ error }, status);
+}
+
+/** Parses a JSON request body; resolves null when it is missing, malformed or over `maxBytes`. */
+export async function readJson(req, maxBytes = Infinity) {
+  try {
+    const text = await req.text();
+    if (Buffer.byteLength(text) > maxBytes) return null;
+    const body = JSON.parse(text);
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+export function isDay(v) {
+  return typeof v === 'string' && /^\d{8}$/.test(v);
+}
+
+export function hashOf(s) {
+  return crypto.createHash('sha256').update(String(s)).digest('hex').slice(0, 32);
+}
+
+/** Client ids are random strings minted by the browser; we only ever store a hash. */
+export function clientKey(cid) {
+  if (typeof cid !== 'string' || !/^[\w-]{8,64}$/.test(cid)) return null;
+  return hashOf(cid);
+}
+
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';   // no I/O/0/1 — codes get read aloud
+
+/** A random code like "K7QM-3XPA" — sync codes and league invites. */
+export function newCode() {
+  const bytes = crypto.randomBytes(8);
+  const s = [...bytes].map(b => ALPHABET[b % 32]).join('');
+  return `${s.slice(0, 4)}-${s.slice(4)}`;
+}
+
+/** Accepts codes typed loosely ("k7qm 3xpa") — returns the canonical form or null. */
+export function normCode(raw) {
+  const s = String(raw || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (s.length !== 8 || [...s].some(c => !ALPHABET.includes(c))) return null;
+  return `${s.slice(0, 4)}-${s.slice(4)}`;
+}
+
+/**
+ * Records a hit for `id` and reports whether it is over `max` hits per `windowMs`.
+ * Rejected hits are not recorded, so a client that backs off recovers.
+ */
+export async function rateLimited(store, id, { max, windowMs }, now = Date.now()) {
+  const key = `rl/${id}`;
+  const hits = ((await store.get(key, { type: 'json' })) || []).filter(t => now - t < windowMs);
+  if (hits.length >= max) return true;
+  hits.push(now);
+  await store.setJSON(key, hits);
+  return false;
+}
@@ -0,0 +1,94 @@
+/**
+ * Friends leagues: membership, per-day scores and the leaderboards behind
+ * /api/leagues (netlify/functions/leagues.mjs).
+ *
+ * A league plays one locale's set. Its members' verified games reach it from
+ * /api/stats (recordGame), so a league score is always one the server replayed
+ * from a signed answer log — relaxed and archive games never count.
+ *
+ * Blobs (store "leagues"):
+ *   league/<hash of code>        { name, locale, created, members: { [client hash]: member } }
+ *   scores/<hash of code>/<day>  { [client hash]: { score, correct } }
+ *   player/<client hash>         [hash of code …] — the leagues a client is in
+ * where a member is { name, since, total, played, correct, streak, best, last }.
+ */
+import DailyCore from '../../daily-core.js';
+import { isLiveDay } from './play.mjs';
+
+export const MAX_MEMBERS = 50;
+export const MAX_LEAGUES = 10;    // per client
+export const NAME_MAX    = { league: 40, player: 20 };
+
+/** A display name with whitespace collapsed, or null when empty, too long or holding control characters. */
+export function cleanName(raw, max) {
+  if (typeof raw !== 'string' || /[\u0000-\u001f\u007f]/.test(raw)) return null;
+  const s = raw.replace(/\s+/g, ' ').trim();
+  return s && [...s].length <= max ? s : null;
+}
+
+export function newMember(name, day) {
+  return { name, since: day, total: 0, played: 0, correct: 0, streak: 0, best: 0, last: '' };
+}
+
+/**
+ * Adds a verified game on `day` to a member's totals. Days before they joined,
+ * and days at or before the last one counted, are ignored. Returns whether it counted.
+ */
+export function addGame(m, day, { score, correct }) {
+  if (day < m.since || (m.last && day <= m.last)) return false;
+  m.streak = m.last === DailyCore.addDays(day, -1) ? m.streak + 1 : 1;
+  m.best = Math.max(m.best, m.streak);
+  m.total += score;
+  m.correct += correct;
+  m.played++;
+  m.last = day;
+  return true;
+}
+
+/** Competition ranking ("1, 2, 2, 4"): rows sorted by `key`, highest first, with ties sharing a rank. */
+function ranked(rows, key) {
+  rows.sort((a, b) => b[key] - a[key] || a.name.localeCompare(b.name));
+  let rank = 0;
+  return rows.map((r, i) => {
+    if (!i || rows[i - 1][key] !== r[key]) rank = i + 1;
+    return { rank, ...r };
+  });
+}
+
+/**
+ * The public view of a league for client `id` (whose rows get `you: true`):
+ *   { name, locale, members, day, today: [{ rank, name, score, correct }…], all: [{ rank, name, total, played, streak, best }…] }
+ * `scores` is the day's scores doc. A streak only shows while it is still alive on `day`.
+ */
+export function leagueView(league, scores, id, day) {
+  const members = Object.entries(league.members);
+  const today = ranked(members.filter(([k]) => scores[k]).map(([k, m]) => ({
+    name: m.name, score: scores[k].score, correct: scores[k].correct, ...(k === id && { you: true }),
+  })), 'score');
+  const all = ranked(members.map(([k, m]) => ({
+    name: m.name, total: m.total, played: m.played,
+    streak: m.last >= DailyCore.addDays(day, -1) ? m.streak : 0, best: m.best,
+    ...(k === id && { you: true }),
+  })), 'total');
+  return { name: league.name, locale: league.locale, members: members.length, day, today, all };
+}
+
+/**
+ * Counts a verified game (what /api/stats replayed) in every league client `id`
+ * is in that plays `locale`. Only a game of the day being played counts (see
+ * isLiveDay) — an old or future day never reaches the boards.
+ */
+export async function recordGame(store, id, day, locale, { score, correct }, { now = Date.now(), site } = {}) {
+  if (!(await isLiveDay(day, locale || 'en', now, site))) return;
+  const leagues = (await store.get(`player/${id}`, { type: 'json' })) || [];
+  for (const lh of leagues) {
+    const league = await store.get(`league/${lh}`, { type: 'json' });
+    const m = league && league.members[id];
+    if (!m || league.locale !== (locale || 'en') || !addGame(m, day, { score, correct })) continue;
+    const key = `scores/${lh}/${day}`;
+    const scores = (await store.get(key, { type: 'json' })) || {};
+    scores[id] = { score, correct };
+    await store.setJSON(key, scores);
+    await store.setJSON(`league/${lh}`, league);
+  }
+}
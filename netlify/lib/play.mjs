@@ -0,0 +1,192 @@
+/**
+ * Signed answer logs: tickets, published sets and the replay behind /api/stats.
+ *
+ * A game of today's set gets a ticket when it starts and a fresh one after
+ * every answer (netlify/functions/play.mjs), along with that answer — the
+ * published set is sealed with PLAY_SECRET (netlify/lib/seal.cjs), so this is
+ * the only place the page learns it. A ticket is
+ *   base64url(JSON { day, locale, cid, relaxed?, at: [server time of each step], log: [{ a, ms }…] })
+ *   + '.' + base64url(HMAC-SHA256 of that, keyed with PLAY_SECRET)
+ * so a finished ticket is an ordered answer log only the server could have
+ * written. /api/stats replays it against the published set before counting a
+ * score. A ticket with an answer that failed the timing check carries
+ * `late: true`, one of a relaxed (untimed) game `relaxed: true` and one of a
+ * game played offline and sent in afterwards `offline: true`; none is ever counted.
+ *
+ * A signature alone would let a ticket be answered twice — once to learn the
+ * right option, again to pick it — so each game also has a step record, and
+ * only its newest ticket moves it on (see takeStep). Blobs (store "play"):
+ *   step/<gid>                       { n, a, ms, reply } — answers in so far, and the last one with what it got back
+ *   first/<day>[.<locale>]/<client>  gid of the client's first game of the day, the only one that can count
+ */
+import crypto from 'node:crypto';
+import fs     from 'node:fs';
+import path   from 'node:path';
+import DailyCore from '../../daily-core.js';
+import seal from './seal.cjs';
+
+export const { playSecret, answerMac } = seal;
+
+export const REVEAL_MS = 1400;    // index.html shows the answer this long before the next question
+export const SLACK_MS  = 5000;    // network time either side of an answer
+export const GRACE_MS  = 10 * 60 * 1000;    // games still running when the ET day turns over
+const SET_TTL_MS = 60 * 1000;                // how long an instance keeps an opened set
+
+const mac = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('base64url');
+
+/** Starts the step record of a new game `t` (minting its `gid`), and returns `t`. */
+export async function startGame(store, t) {
+  t.gid = crypto.randomBytes(12).toString('base64url');
+  await store.setJSON(`step/${t.gid}`, { n: 0 });
+  const first = `first/${DailyCore.localeKey(t.day, t.locale)}/${t.cid}`;
+  if (!(await store.get(first, { type: 'json' }))) await store.setJSON(first, t.gid);
+  return t;
+}
+
+/**
+ * Where ticket `t` stands against its game's step record: 'current' when it
+ * is the newest, 'resent' when it is the one before and `body` repeats the
+ * answer that moved it on (a reply lost on the way — the step record keeps
+ * what was sent back), otherwise 'stale'.
+ */
+export async function stepOf(store, t, body = {}) {
+  const rec = typeof t.gid === 'string' && (await store.get(`step/${t.gid}`, { type: 'json' }));
+  if (!rec) return { state: 'stale' };
+  if (rec.n === t.log.length) return { state: 'current' };
+  if (rec.n === t.log.length + 1 && rec.a === body.a && rec.ms === body.ms) return { state: 'resent', reply: rec.reply };
+  return { state: 'stale' };
+}
+
+/** Moves the step record on past the answer in `body`, keeping the `reply` it got. */
+export async function takeStep(store, t, body, reply) {
+  await store.setJSON(`step/${t.gid}`, { n: t.log.length, a: body.a, ms: body.ms, reply });
+}
+
+export function signTicket(payload, secret) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${mac(body, secret)}`;
+}
+
+/** The payload of a ticket this server signed, or null for anything else. */
+export function openTicket(ticket, secret) {
+  if (typeof ticket !== 'string' || ticket.length > 2048) return null;
+  const [body, sig = ''] = ticket.split('.');
+  const want = Buffer.from(mac(body, secret)), given = Buffer.from(sig);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) return null;
+  try {
+    const t = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return t && Array.isArray(t.at) && Array.isArray(t.log) ? t : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks one answer against the ticket so far; returns an error message or null.
+ * `a` is the option picked (-1 when time ran out) and `ms` the time it took.
+ */
+export function checkAnswer(t, { a, ms }) {
+  if (t.log.length >= 5) return 'all 5 answers are already in';
+  if (!Number.isInteger(a) || a < -1 || a > 3) return 'a must be an option index 0-3, or -1 when time ran out';
+  if (!Number.isInteger(ms) || ms < 0 || ms > DailyCore.QUESTION_MS) return `ms must be 0-${DailyCore.QUESTION_MS}`;
+  return null;
+}
+
+/**
+ * Whether an answer claims less time than the server saw go by. The server saw
+ * `now - last step`, which covers the answer, the reveal of the one before and
+ * some network time — an answer claiming much less than that was looked up
+ * somewhere else. Running out the clock is never late. A game that was away
+ * (a reload, a tab in the background) sends a resume step as its next question
+ * goes up, which moves the last step to then.
+ */
+export function isLate(t, { a, ms }, now = Date.now()) {
+  if (a === -1) return false;
+  const since = now - t.at[t.at.length - 1] - (t.log.length ? REVEAL_MS : 0);
+  return ms < since - SLACK_MS;
+}
+
+/**
+ * The published set for `day` in play order (DailyCore.prepQs), or null when
+ * there isn't one. Read from archive/[<locale>/]<day>.json on the deployed
+ * site, or under DF_SITE_DIR on disk when that is set (the dev server, tests).
+ */
+export async function loadSet(day, locale = 'en', site = process.env.URL) {
+  const rel = ['archive', ...(locale === 'en' ? [] : [locale]), `${day}.json`].join('/');
+  let data = null;
+  try {
+    if (process.env.DF_SITE_DIR) {
+      data = JSON.parse(fs.readFileSync(path.join(process.env.DF_SITE_DIR, rel), 'utf8'));
+    } else {
+      const res = await fetch(new URL(`/${rel}`, site), { cache: 'no-store' });
+      data = res.ok ? await res.json() : null;
+    }
+  } catch {
+    return null;
+  }
+  return data && String(data.day) === day && Array.isArray(data.questions) ? DailyCore.prepQs(data) : null;
+}
+
+const opened = new Map();    // `${locale}/${day}` → { at, secret, qs }
+
+/**
+ * loadSet with every answer unsealed (each question's `correct` back), or null
+ * when there is no set or it wasn't sealed with `secret`. Every answer step
+ * reads it, so an instance keeps it for SET_TTL_MS.
+ */
+export async function openSet(day, locale = 'en', { secret = playSecret(), site, now = Date.now() } = {}) {
+  const key = `${locale}/${day}`, hit = opened.get(key);
+  if (hit && hit.secret === secret && now - hit.at < SET_TTL_MS) return hit.qs;
+  const sealed = await loadSet(day, locale, site);
+  if (!sealed) return null;
+  const mac = answerMac(secret), qs = sealed.map(q => DailyCore.unsealQuestion(q, mac));
+  if (qs.some(q => q.correct < 0)) {
+    console.error(`${key} does not open with PLAY_SECRET — was it sealed with another key?`);
+    return null;
+  }
+  opened.set(key, { at: now, secret, qs });
+  return qs;
+}
+
+/**
+ * Whether `day` is the set being played at `now`: the current ET day, or
+ * yesterday's for a while after midnight — for GRACE_MS while games started
+ * before it finish, and until today's set is published (the generator runs a
+ * little after midnight, and the page plays whatever daily.json holds).
+ */
+export async function isLiveDay(day, locale = 'en', now = Date.now(), site) {
+  const today = DailyCore.etDay(new Date(now));
+  if (day === today) return true;
+  if (day !== DailyCore.addDays(today, -1)) return false;
+  return DailyCore.etDay(new Date(now - GRACE_MS)) === day || !(await loadSet(today, locale, site));
+}
+
+/**
+ * Replays a finished ticket for a stats submission `b` ({ cid hash as `id`,
+ * day, locale, ticket, correct, score, results }). Only today's game counts
+ * (see isLiveDay), so old sets can't be replayed into the stats at leisure, and
+ * only the newest ticket of the client's first game that day (`store` holds the
+ * step records). Resolves with { played: { correct, score, results } } or { status, error }.
+ */
+export async function verifyPlay(b, id, { store, secret = playSecret(), site, now = Date.now() } = {}) {
+  if (!secret) return { status: 503, error: 'play signing is not configured' };
+  const t = openTicket(b.ticket, secret);
+  if (!t) return { status: 400, error: 'ticket is not valid' };
+  if (t.cid !== id || t.day !== b.day || t.locale !== (b.locale || 'en')) return { status: 400, error: 'ticket is for another game' };
+  if (t.log.length !== 5) return { status: 400, error: 'ticket does not hold 5 answers' };
+  if (t.relaxed) return { status: 400, error: 'relaxed games are not counted' };
+  if (t.offline) return { status: 400, error: 'games played offline are not counted' };
+  if (t.late) return { status: 400, error: 'answer took longer than it says' };
+  if (!(await isLiveDay(b.day, t.locale, now, site))) return { status: 400, error: `${b.day} is not being played now` };
+  const qs = await openSet(b.day, t.locale, { secret, site, now });
+  if (!qs || qs.length !== 5) return { status: 404, error: `no published set for ${b.day}` };
+  const played = DailyCore.replayLog(qs, t.log, !!t.relaxed);
+  if (played.score !== b.score || played.correct !== b.correct || played.results.join() !== b.results.join()) {
+    return { status: 400, error: 'score does not match the answer log' };
+  }
+  if ((await stepOf(store, t)).state !== 'current') return { status: 400, error: 'ticket is not the game\'s last step' };
+  if ((await store.get(`first/${DailyCore.localeKey(t.day, t.locale)}/${t.cid}`, { type: 'json' })) !== t.gid) {
+    return { status: 400, error: 'only the first game of the day is counted' };
+  }
+  return { played };
+}
@@ -0,0 +1,122 @@
+/**
+ * Web push: VAPID keys, subscription records and fan-out.
+ *
+ * Subscriptions live in the "push" store under sub/<hash of endpoint> as
+ *   { subscription, locale, streak, lastDay, updated }
+ * and are refreshed by the page after every play, so the sender can tell
+ * whose streak is about to lapse without knowing anything else about them.
+ * Messages are written in the subscriber's locale (strings.js push.* keys).
+ */
+import crypto from 'node:crypto';
+import fs     from 'node:fs';
+import path   from 'node:path';
+import webpush from 'web-push';
+import DailyCore from '../../daily-core.js';
+import DailyStrings from '../../strings.js';
+
+export const REMINDER_HOUR = 20;   // 8pm ET
+const TTL = { live: 6 * 3600, reminder: 4 * 3600 };
+
+/**
+ * VAPID details from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT.
+ * Locally (DF_BLOBS_DIR set) a key pair is generated once and kept next to the blobs.
+ * Returns null when push isn't configured.
+ */
+export function vapid(env = process.env) {
+  let { VAPID_PUBLIC_KEY: publicKey, VAPID_PRIVATE_KEY: privateKey } = env;
+  if ((!publicKey || !privateKey) && env.DF_BLOBS_DIR) {
+    const file = path.join(env.DF_BLOBS_DIR, 'vapid.json');
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(env.DF_BLOBS_DIR, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(webpush.generateVAPIDKeys()));
+    }
+    ({ publicKey, privateKey } = JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  if (!publicKey || !privateKey) return null;
+  return { subject: env.VAPID_SUBJECT || 'mailto:hello@playdailyfive.com', publicKey, privateKey };
+}
+
+export function subKey(endpoint) {
+  return 'sub/' + crypto.createHash('sha256').update(endpoint).digest('hex').slice(0, 32);
+}
+
+/** Push endpoints must be https; plain http is only accepted for a local stand-in. */
+export function validSubscription(sub) {
+  if (!sub || typeof sub.endpoint !== 'string' || !sub.keys) return false;
+  if (typeof sub.keys.p256dh !== 'string' || typeof sub.keys.auth !== 'string') return false;
+  try {
+    const u = new URL(sub.endpoint);
+    return u.protocol === 'https:' || (u.protocol === 'http:' && ['localhost', '127.0.0.1'].includes(u.hostname));
+  } catch {
+    return false;
+  }
+}
+
+export function etHour(now = new Date()) {
+  return Number(new Intl.DateTimeFormat('en-US', { timeZone: DailyCore.ET_TZ, hourCycle: 'h23', hour: 'numeric' }).format(now));
+}
+
+// ─── Messages ───────────────────────────────────────────────────────────────
+export function liveMessage(daily, locale = 'en') {
+  const t = DailyCore.translator(DailyStrings, locale);
+  return {
+    kind: 'live',
+    title: t('push.live.title', { n: daily.dayIndex }),
+    body: daily.theme ? t('push.live.theme', { theme: daily.theme }) : t('push.live.body'),
+    tag: `live-${daily.day}`,
+  };
+}
+
+/** A reminder is due when the streak is alive (played yesterday) but today is still unplayed. */
+export function reminderFor(rec, day) {
+  if (!(rec.streak > 0) || rec.lastDay !== DailyCore.addDays(day, -1)) return null;
+  const t = DailyCore.translator(DailyStrings, rec.locale || 'en');
+  return {
+    kind: 'reminder',
+    title: t('push.reminder.title', { n: rec.streak }),
+    body: t('push.reminder.body'),
+    tag: `reminder-${day}`,
+  };
+}
+
+// ─── Fan-out ────────────────────────────────────────────────────────────────
+/**
+ * web-push builds the encrypted, VAPID-signed request; we send it with fetch so the
+ * same code reaches a plain-http stand-in push service in local runs and tests.
+ */
+export function webpushSender(details) {
+  return async (subscription, msg) => {
+    const { endpoint, method, headers, body } = webpush.generateRequestDetails(subscription, JSON.stringify(msg), {
+      vapidDetails: details, TTL: TTL[msg.kind] || 3600,
+    });
+    const res = await fetch(endpoint, { method, headers, body });
+    if (!res.ok) throw Object.assign(new Error(`push service answered ${res.status}`), { statusCode: res.status });
+  };
+}
+
+/**
+ * Sends `messageFor(record)` to every subscription that gets one.
+ * Subscriptions the push service reports gone (404/410) are deleted.
+ */
+export async function broadcast(store, messageFor, send) {
+  const out = { sent: 0, skipped: 0, gone: 0, failed: 0 };
+  const { blobs } = await store.list({ prefix: 'sub/' });
+  for (const { key } of blobs) {
+    const rec = await store.get(key, { type: 'json' });
+    const msg = rec && messageFor(rec);
+    if (!msg) { out.skipped++; continue; }
+    try {
+      await send(rec.subscription, msg);
+      out.sent++;
+    } catch (e) {
+      if (e.statusCode === 404 || e.statusCode === 410) {
+        await store.delete(key);
+        out.gone++;
+      } else {
+        console.warn(`push to ${key} failed: ${e.statusCode || e.message}`);
+        out.failed++;
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,31 @@
+/**
+ * The server's secret, PLAY_SECRET: it signs /api/play tickets and keys the
+ * answer seal on published sets (DailyCore.sealQuestion). CommonJS, so the
+ * generator (scripts/generate-daily.cjs) seals sets with the same key the
+ * functions open them with.
+ */
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+/**
+ * The key from PLAY_SECRET. Locally (DF_BLOBS_DIR set) one is generated once
+ * and kept next to the blobs. Returns null when it isn't configured.
+ */
+function playSecret(env = process.env) {
+  if (env.PLAY_SECRET) return env.PLAY_SECRET;
+  if (!env.DF_BLOBS_DIR) return null;
+  const file = path.join(env.DF_BLOBS_DIR, 'play-secret.json');
+  if (!fs.existsSync(file)) {
+    fs.mkdirSync(env.DF_BLOBS_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(crypto.randomBytes(32).toString('hex')));
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/** The `mac` DailyCore.sealQuestion takes: 16 hex chars of HMAC-SHA256 keyed with `secret`. */
+function answerMac(secret) {
+  return message => crypto.createHmac('sha256', secret).update(message).digest('hex').slice(0, 16);
+}
+
+module.exports = { playSecret, answerMac };
@@ -0,0 +1,56 @@
+/**
+ * Blob storage for the serverless functions.
+ *
+ * In production this is Netlify Blobs. Set DF_BLOBS_DIR to run against a
+ * local stand-in instead: one JSON file per key under DF_BLOBS_DIR/<store>/,
+ * exposing the subset of the Blobs Store API the functions use.
+ */
+import fs   from 'node:fs/promises';
+import path from 'node:path';
+import { getStore } from '@netlify/blobs';
+
+export function openStore(name) {
+  const dir = process.env.DF_BLOBS_DIR;
+  return dir ? fileStore(path.resolve(dir, name)) : getStore({ name, consistency: 'strong' });
+}
+
+export function fileStore(dir) {
+  const file = key => path.join(dir, encodeURIComponent(key) + '.json');
+  return {
+    async get(key, { type } = {}) {
+      let text;
+      try {
+        text = await fs.readFile(file(key), 'utf8');
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+      return type === 'json' ? JSON.parse(text) : text;
+    },
+    async set(key, value) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file(key), String(value));
+    },
+    async setJSON(key, value) {
+      await this.set(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      await fs.rm(file(key), { force: true });
+    },
+    async list({ prefix = '' } = {}) {
+      let names = [];
+      try {
+        names = await fs.readdir(dir);
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+      const blobs = names
+        .filter(n => n.endsWith('.json'))
+        .map(n => decodeURIComponent(n.slice(0, -5)))
+        .filter(key => key.startsWith(prefix))
+        .sort()
+        .map(key => ({ key, etag: '' }));
+      return { blobs, directories: [] };
+    },
+  };
+}
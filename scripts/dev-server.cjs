@@ -0,0 +1,106 @@
+/**
+ * Local dev server — the static site plus netlify/functions/*.mjs
+ *
+ * Functions are routed by their `config.path`, as Netlify does, and every
+ * function (scheduled ones included) is also reachable at /.netlify/functions/<name>.
+ * They run against the file-backed blob stand-in in netlify/lib/store.mjs.
+ * Paths _redirects forces to a 404 (the generator's pools, curated days) 404 here too,
+ * and so does anything that isn't part of the site: dotfiles and dot-directories
+ * (.blobs/ holds the play secret and VAPID keys), the functions, scripts, tests and
+ * node_modules, and files of a type the site doesn't serve.
+ *
+ *   npm run dev                 → http://localhost:8888
+ *
+ * Environment:
+ *   PORT          listen port (default 8888)
+ *   DF_BLOBS_DIR  where blobs are kept (default ./.blobs)
+ *   DF_SITE_DIR   where /api/stats reads published sets to replay answer logs (default: the repo)
+ *   REPORTS_TOKEN moderator token for /api/reports (npm run reports)
+ *   PLAY_SECRET   key that signs /api/play tickets (default: one generated next to the blobs)
+ */
+
+const fs   = require('fs');
+const http = require('http');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ROOT   = path.resolve(__dirname, '..');
+const FN_DIR = path.join(ROOT, 'netlify', 'functions');
+const PORT   = Number(process.env.PORT) || 8888;
+process.env.DF_BLOBS_DIR ||= path.join(ROOT, '.blobs');
+process.env.DF_SITE_DIR  ||= ROOT;
+
+const TYPES = {
+  '.html': 'text/html; charset=utf-8', '.js': 'application/javascript', '.json': 'application/json',
+  '.png': 'image/png', '.ico': 'image/x-icon', '.webmanifest': 'application/manifest+json',
+};
+
+// `/pools/*  /404  404!` in _redirects → '/pools/'
+const HIDDEN = fs.readFileSync(path.join(ROOT, '_redirects'), 'utf8').split('\n')
+  .map(line => line.trim().split(/\s+/))
+  .filter(([from, , status]) => from && !from.startsWith('#') && status === '404!')
+  .map(([from]) => from.replace(/\*$/, ''));
+const PRIVATE = ['/netlify/', '/scripts/', '/test/', '/node_modules/', '/package.json', '/package-lock.json'];
+
+/** The file a GET for `pathname` serves, or null when it 404s. */
+function siteFile(pathname) {
+  const file = path.join(ROOT, pathname === '/' ? 'index.html' : decodeURIComponent(pathname));
+  if (!file.startsWith(ROOT + path.sep)) return null;
+  const rel = '/' + path.relative(ROOT, file).split(path.sep).join('/');
+  const under = p => (p.endsWith('/') ? rel.startsWith(p) : rel === p);
+  if (HIDDEN.some(under) || PRIVATE.some(under) || rel.split('/').some(s => s.startsWith('.'))) return null;
+  if (!TYPES[path.extname(file)] || !fs.existsSync(file) || fs.statSync(file).isDirectory()) return null;
+  return file;
+}
+
+async function loadRoutes() {
+  const routes = new Map();
+  for (const f of fs.existsSync(FN_DIR) ? fs.readdirSync(FN_DIR) : []) {
+    if (!f.endsWith('.mjs')) continue;
+    const mod = await import(pathToFileURL(path.join(FN_DIR, f)).href);
+    routes.set(`/.netlify/functions/${f.slice(0, -4)}`, mod.default);
+    if (mod.config?.path) routes.set(mod.config.path, mod.default);
+  }
+  return routes;
+}
+
+async function callFunction(fn, req, res, url) {
+  const chunks = [];
+  for await (const c of req) chunks.push(c);
+  const body = chunks.length ? Buffer.concat(chunks) : undefined;
+  const out = await fn(new Request(url, { method: req.method, headers: req.headers, body }), {});
+  res.writeHead(out.status, Object.fromEntries(out.headers));
+  res.end(Buffer.from(await out.arrayBuffer()));
+}
+
+function serveStatic(res, pathname) {
+  const file = siteFile(pathname);
+  if (!file) {
+    res.writeHead(404); res.end('Not found'); return;
+  }
+  res.writeHead(200, { 'Content-Type': TYPES[path.extname(file)], 'Cache-Control': 'no-cache' });
+  fs.createReadStream(file).pipe(res);
+}
+
+async function main() {
+  const routes = await loadRoutes();
+  http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const fn = routes.get(url.pathname);
+    try {
+      if (fn) await callFunction(fn, req, res, url);
+      else serveStatic(res, url.pathname);
+    } catch (e) {
+      console.error(`${req.method} ${url.pathname}:`, e);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    }
+  }).listen(PORT, () => {
+    console.log(`Daily Five on http://localhost:${PORT}  (blobs in ${process.env.DF_BLOBS_DIR})`);
+    for (const p of routes.keys()) console.log(`  fn ${p}`);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = { siteFile };
@@ -2,9 +2,15 @@
  * Daily Five generator — improved
  *
  * Sources (in priority order):
+ *   0. Curated set     (curated/YYYYMMDD.json — hand-written themed days)
  *   1. The Trivia API  (the-trivia-api.com — free, no auth, good quality)
  *   2. OpenTDB         (opentdb.com — original source, kept as fallback)
- *   3. Local fallback  (built-in bank, large enough to last ~2 weeks of outages)
+ *   3. Local fallback  (pools/*.json + .github/pools/*.json merged with the built-in bank)
+ *
+ * Other locales (--locale es|fr) only have the local fallback: their bank is
+ * pools/<locale>/*.json + .github/pools/<locale>/*.json, and every file the run
+ * touches is kept apart — daily.<locale>.json, used.<locale>.json,
+ * archive/<locale>/, quality/<locale>/ and curated/<locale>/. blocklist.json is shared.
  *
  * Improvements over v1:
  *   - Second API source before hitting local bank
@@ -13,10 +19,45 @@
  *   - Larger fallback bank (20 easy, 15 medium, 10 hard)
  *   - Cleaner error messages and per-source logging
  *   - Shared filter/shuffle/dedup logic extracted so both APIs use the same pipeline
+ *   - Every day is also archived to archive/YYYYMMDD.json (+ archive/index.json)
+ *   - Sources are pluggable adapters (see registerSource) with record/replay fixtures
+ *   - Importable: require() exposes the pipeline for tests; main() runs only from the CLI
+ *   - Sets are scored for answer leaks, look-alike options and near-repeats of
+ *     used.json history; weak sets fall through to the next source, and every
+ *     run writes quality/YYYYMMDD.json
+ *   - Questions pulled after a confirmed player report (blocklist.json) are never picked
+ *   - A real CLI: explicit dates, a week ahead, dry runs and a readable preview
+ *   - Spanish and French sets with their own pools, ledgers and archives
+ *   - Days built ahead wait in upcoming/ (off the site, out of the archive index)
+ *     until the run on their day publishes them
+ *   - Published sets are sealed: each question carries { salt, check } instead of
+ *     a plain `correct` index (see sealQuestion in daily-core.js), keyed with the
+ *     site's PLAY_SECRET, so only /api/play can tell players the answers; the
+ *     options are dealt with that key too, so their order gives nothing away
+ *
+ * Usage (see USAGE below for every flag):
+ *   node scripts/generate-daily.cjs                        → today's set: daily.json, used.json, archive/
+ *   node scripts/generate-daily.cjs --days 7               → today, plus the next six days queued in upcoming/;
+ *                                                            each moves to archive/ and daily.json on its day
+ *   node scripts/generate-daily.cjs preview --date 20261031 → the set as text, with why each pick was made
+ *   node scripts/generate-daily.cjs --dry-run --source LOCAL_FALLBACK
+ *   node scripts/generate-daily.cjs --locale es            → daily.es.json, used.es.json, archive/es/
+ *
+ * Environment:
+ *   REROLL_NONCE      any string — forces a fresh set for today
+ *   QUESTION_SOURCES  comma list overriding the source order, e.g. "OPENTDB,LOCAL_FALLBACK"
+ *   FIXTURE_MODE      "record" saves raw API payloads, "replay" reruns from them offline
+ *   FIXTURE_DIR       where fixtures live (default: ./fixtures)
+ *   QUALITY_DIR       where the per-run quality report goes (default: ./quality)
+ *   PLAY_SECRET       the site's key, which seals the answers; required under CI. Locally the
+ *                     key the dev server keeps in .blobs/ (or DF_BLOBS_DIR) is used
  */
 
 const fs   = require('fs');
 const path = require('path');
+const util = require('util');
+const { LOCALES, localeFile, sealQuestion, unsealQuestion } = require('../daily-core.js');
+const { playSecret, answerMac } = require('../netlify/lib/seal.cjs');
 
 // ─── Tunables ───────────────────────────────────────────────────────────────
 const ET_TZ       = 'America/New_York';
@@ -76,6 +117,11 @@ function fnv1a(str) {
 function norm(s = '') { return String(s).replace(/\s+/g, ' ').trim().toLowerCase(); }
 function qKey(text, correctAnswer) { return fnv1a(norm(text) + '|' + norm(correctAnswer)); }
 
+/** Seed for a day's shuffles; a reroll nonce moves it to a different, still deterministic, set. */
+function seedFor(day, nonce = '') {
+  return (Number(day) ^ (nonce ? (parseInt(fnv1a(nonce), 16) >>> 0) : 0)) >>> 0;
+}
+
 function mulberry32(seed) {
   return function () {
     let t = seed += 0x6D2B79F5;
@@ -102,11 +148,6 @@ function decodeHTMLEntities(s = '') {
     .replace(/&nbsp;/g, ' ');
 }
 
-if (typeof fetch !== 'function') {
-  console.error('Node 20+ required: global fetch not found. Use nvm use 20.');
-  process.exit(1);
-}
-
 async function fetchJsonWithBackoff(url) {
   for (let attempt = 1; attempt <= RETRIES; attempt++) {
     const ac = new AbortController();
@@ -134,20 +175,33 @@ async function fetchJsonWithBackoff(url) {
 /**
  * Accepts a normalised question object:
  *   { text, correctAnswer, incorrectAnswers[], difficulty, category }
- * Returns true if the question passes all quality filters.
+ * Returns why it fails the quality filters, or null when it passes.
  */
-function passFilter(q) {
-  if (!q.text || q.text.trim().length === 0)   return false;
-  if (q.text.length > MAX_Q_LEN)               return false;
+function filterReason(q) {
+  if (!q.text || q.text.trim().length === 0)   return 'empty text';
+  if (q.text.length > MAX_Q_LEN)               return 'text too long';
   const opts = [q.correctAnswer, ...(q.incorrectAnswers || [])].filter(Boolean);
-  if (opts.length < 4)                          return false;
-  if (!opts.every(o => String(o).trim().length > 0 && String(o).length <= MAX_OPT_LEN)) return false;
-  if (BAN_PATTERNS.some(rx => rx.test(q.text))) return false;
-  if (q.category && !ALLOW_CATS.has(q.category)) return false;
+  if (opts.length < 4)                          return 'under 4 options';
+  if (!opts.every(o => String(o).trim().length > 0 && String(o).length <= MAX_OPT_LEN)) return 'option empty or too long';
+  if (BAN_PATTERNS.some(rx => rx.test(q.text))) return 'banned pattern';
+  if (q.category && !ALLOW_CATS.has(q.category)) return 'category not allowed';
   const uppers = (q.text.match(/[A-Z]/g) || []).length;
   const lowers = (q.text.match(/[a-z]/g) || []).length;
-  if (uppers > lowers * 2)                      return false;
-  return true;
+  if (uppers > lowers * 2)                      return 'mostly capitals';
+  return null;
+}
+function passFilter(q) { return !filterReason(q); }
+
+/** Tallies a pool for the report: how many rows could be picked, and why the rest were dropped. */
+function explainPool(pool = [], seen = new Set(), blocked = new Set()) {
+  const out = { total: pool.length, eligible: 0, dropped: {} };
+  for (const q of pool) {
+    const k = qKey(q.text, q.correctAnswer);
+    const why = filterReason(q) || (blocked.has(k) ? 'blocklisted' : seen.has(k) ? 'already used' : null);
+    if (why) out.dropped[why] = (out.dropped[why] || 0) + 1;
+    else out.eligible++;
+  }
+  return out;
 }
 
 /**
@@ -183,19 +237,301 @@ function buildFromPool(pool, n, seen, seedBase, idxOffset = 0) {
   }
   if (picked.length < n) return null;
 
-  return picked.slice(0, n).map((q, i) => {
-    const raw = [q.correctAnswer, ...q.incorrectAnswers];
-    const opts = seededShuffle(raw, (seedBase + (idxOffset + i) * 7) >>> 0);
-    const correctIdx = opts.indexOf(q.correctAnswer);
-    if (correctIdx === -1) return null; // guard: skip if shuffle broke the index
-    return {
-      text:       q.text,
-      options:    opts,
-      correct:    correctIdx,
-      difficulty: q.difficulty || 'medium',
-      category:   q.category   || 'General Knowledge',
-    };
-  }).filter(Boolean); // drop any nulls from the guard above
+  return picked.slice(0, n)
+    .map((q, i) => toDailyQuestion(q, (seedBase + (idxOffset + i) * 7) >>> 0))
+    .filter(Boolean); // drop any nulls from the guard below
+}
+
+/** Converts a normalised question to the daily.json shape with shuffled options. */
+function toDailyQuestion(q, seedNum) {
+  const raw = [q.correctAnswer, ...q.incorrectAnswers];
+  const opts = seededShuffle(raw, seedNum);
+  const correctIdx = opts.indexOf(q.correctAnswer);
+  if (correctIdx === -1) return null; // guard: skip if shuffle broke the index
+  return {
+    text:       q.text,
+    options:    opts,
+    correct:    correctIdx,
+    difficulty: q.difficulty || 'medium',
+    category:   q.category   || 'General Knowledge',
+  };
+}
+
+/**
+ * Deals a picked question's options again, seeded from `secret` (a mac of the
+ * day and slot) rather than seedFor: anyone can recompute seedFor from the
+ * published day and reroll flag, so the source shuffle alone would give away
+ * where the sealed answer sits.
+ */
+function dealOptions(q, secret) {
+  const order = seededShuffle(q.options.map((_, k) => k), parseInt(secret.slice(0, 8), 16));
+  return { ...q, options: order.map(k => q.options[k]), correct: order.indexOf(q.correct) };
+}
+
+// ─── Quality scoring ─────────────────────────────────────────────────────────
+// passFilter() looks at one question at a time; this stage scores a finished
+// set against itself and the used.json history. Each question starts at 1 and
+// loses PENALTY[check] per issue; a set scores its weakest question, and
+// runSource() rejects anything under QUALITY_MIN so the next source gets a go.
+const QUALITY_MIN  = 0.7;
+const NEAR_DUP_AT  = 0.75;        // token-set similarity treated as the same fact reworded
+const SIMILAR_AT   = 0.5;         // close enough to flag, not enough to reject on its own
+const PENALTY = {
+  leak:       1,                  // the answer is spelled out in the prompt
+  sameOption: 1,                  // two options differ only in case/punctuation/value
+  catchAll:   1,                  // "all of the above" breaks once options are shuffled
+  nearDup:    1,
+  mixedNums:  0.25,               // some options numeric, some not
+  similar:    0.25,
+};
+// Accents are stripped before lookup, so the Spanish and French lists are written without them
+const STOPWORDS = new Set((
+  'a an the of in on at to for by with from and or is are was were be been which what who whom ' +
+  'whose where when how many much does did do this that these those its it as into than call called known you we ' +
+  'el la los las un una unos unas del al y o es fue era que cual cuales quien como cuantos cuantas cuanto ' +
+  'cuando donde para por con se su sus lo este esta ' +
+  'le les une des du au aux et ou est etait qui quel quelle quels quelles combien comment ou dans sur ' +
+  'pour par avec ce cette ces se sa'
+).split(' '));
+const CATCH_ALL = new RegExp([
+  /^(all|none|both|neither)\s+(of\s+)?(the\s+)?(above|these|them|answers)\b/,
+  /^(todas|ninguna|ambas)\s+(las\s+)?(anteriores|respuestas)\b/,
+  /^(toutes|aucune)\s+(les\s+|des\s+)?(r[ée]ponses\s+)?(ci-dessus|pr[ée]c[ée]dentes)\b/,
+].map(rx => `(?:${rx.source})`).join('|'), 'i');
+
+/** Lowercase words with accents and punctuation stripped: "Café, Inc." → ["cafe", "inc"]. */
+function words(s = '') {
+  return String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+function squash(s = '') { return words(s).join(''); }
+
+/** Content words of a string, accents, punctuation and plural -s stripped. */
+function tokens(s = '') {
+  return new Set(words(s).filter(w => !STOPWORDS.has(w))
+    .map(w => (w.length > 3 && /[^s]s$/.test(w) ? w.slice(0, -1) : w)));
+}
+
+/** Jaccard similarity of two token sets, 0…1. */
+function tokenSimilarity(a, b) {
+  const A = a instanceof Set ? a : tokens(a), B = b instanceof Set ? b : tokens(b);
+  if (!A.size || !B.size) return 0;
+  let shared = 0;
+  for (const w of A) if (B.has(w)) shared++;
+  return shared / (A.size + B.size - shared);
+}
+
+function numericValue(s) {
+  const t = String(s).trim().replace(/,/g, '');
+  return /^-?\d+(\.\d+)?%?$/.test(t) ? parseFloat(t) : null;
+}
+
+/**
+ * Scores one daily.json-shaped question ({ text, options, correct }) against
+ * `history` (earlier question texts). Returns { text, score, issues[] } where
+ * each issue is { check, detail }.
+ */
+function scoreQuestion(q, history = []) {
+  const issues = [], flag = (check, detail) => issues.push({ check, detail });
+  const answer = q.options[q.correct];
+  const textTokens = tokens(q.text);
+
+  // Leak: every content word of the answer appears in the prompt (or, for
+  // answers made only of short words like "The Who", the whole phrase does)
+  const answerTokens = tokens(answer);
+  const leaked = answerTokens.size
+    ? [...answerTokens].every(w => textTokens.has(w))
+    : squash(answer).length > 0 && ` ${words(q.text).join(' ')} `.includes(` ${words(answer).join(' ')} `);
+  if (leaked) flag('leak', `answer "${answer}" appears in the question`);
+
+  const squashed = q.options.map(squash);
+  const nums = q.options.map(numericValue);
+  q.options.forEach((o, i) => {
+    for (let j = 0; j < i; j++) {
+      const sameValue = nums[i] !== null && nums[i] === nums[j];
+      if (squashed[i] === squashed[j] || sameValue) flag('sameOption', `"${q.options[j]}" and "${o}" are the same answer`);
+    }
+    if (CATCH_ALL.test(o.trim())) flag('catchAll', `option "${o}"`);
+  });
+  const numeric = nums.filter(n => n !== null).length;
+  if (numeric && numeric < q.options.length) flag('mixedNums', `${numeric} of ${q.options.length} options are numbers`);
+
+  let closest = { sim: 0, text: '' };
+  for (const h of history) {
+    const sim = tokenSimilarity(textTokens, tokens(h));
+    if (sim > closest.sim) closest = { sim, text: h };
+  }
+  if (closest.sim >= NEAR_DUP_AT)      flag('nearDup', `${Math.round(closest.sim * 100)}% like "${closest.text}"`);
+  else if (closest.sim >= SIMILAR_AT)  flag('similar', `${Math.round(closest.sim * 100)}% like "${closest.text}"`);
+
+  const score = Math.max(0, 1 - issues.reduce((sum, i) => sum + PENALTY[i.check], 0));
+  return { text: q.text, score: +score.toFixed(2), issues };
+}
+
+/**
+ * Scores a full set. Later questions are also checked against earlier ones,
+ * so one set can't ask the same thing twice. Questions in `repeats` (knowingly
+ * taken from used.json, see buildSet) skip the history check, but not that one.
+ * Returns { score, pass, questions }.
+ */
+function scoreSet(qs, history = [], min = QUALITY_MIN, repeats = new Set()) {
+  const earlier = [];
+  const questions = qs.map(q => {
+    const r = scoreQuestion(q, repeats.has(q) ? earlier : [...history, ...earlier]);
+    earlier.push(q.text);
+    return r;
+  });
+  const score = questions.length ? Math.min(...questions.map(r => r.score)) : 0;
+  return { score, pass: score >= min, questions };
+}
+
+/**
+ * Writes the run's quality report to dir/YYYYMMDD.json: every source tried,
+ * its score and the issues found, plus which one was published.
+ */
+function writeQualityReport(report, dir = path.resolve(process.env.QUALITY_DIR || 'quality')) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${report.day}.json`);
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  console.log(`Wrote quality report ${path.relative(process.cwd(), file)}`);
+  return file;
+}
+
+// ─── Source adapters ─────────────────────────────────────────────────────────
+/**
+ * Every question source is an adapter object:
+ *   name            label written to daily.json `source` (and QUESTION_SOURCES)
+ *   fetch(ctx)      resolves the raw payloads; ctx = { getJson, bank }
+ *   normalize(raw)  → { easy, medium, hard } arrays of normalised questions
+ *                     { text, correctAnswer, incorrectAnswers, category, difficulty }
+ *   offline         optional — never touches the network, so no fixtures
+ *   reuse           optional — may repeat used.json entries when it runs dry
+ *   locales         languages it can supply (default ['en']), or '*' for any
+ * runSource() applies fixtures, filtering and the 2/2/1 split for all of them.
+ */
+const SOURCES = new Map();
+
+function registerSource(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.fetch !== 'function' || typeof adapter.normalize !== 'function') {
+    throw new Error('Source adapters need a name, fetch() and normalize()');
+  }
+  SOURCES.set(adapter.name, adapter);
+  return adapter;
+}
+
+function speaks(adapter, locale) {
+  const locales = adapter.locales || ['en'];
+  return locales === '*' || locales.includes(locale);
+}
+
+/**
+ * Resolves the run order from a comma list (QUESTION_SOURCES); default is
+ * registration order. Only adapters that speak `locale` are kept, and naming
+ * one that doesn't is an error.
+ */
+function sourceOrder(spec = process.env.QUESTION_SOURCES || '', locale = 'en') {
+  const names = spec.split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+  if (!names.length) return [...SOURCES.values()].filter(a => speaks(a, locale));
+  const unknown = names.filter(n => !SOURCES.has(n));
+  if (unknown.length) {
+    throw new Error(`Unknown source(s) ${unknown.join(', ')} — known: ${[...SOURCES.keys()].join(', ')}`);
+  }
+  const mute = names.filter(n => !speaks(SOURCES.get(n), locale));
+  if (mute.length) throw new Error(`Source(s) ${mute.join(', ')} have no "${locale}" questions`);
+  return names.map(n => SOURCES.get(n));
+}
+
+// ─── Fixtures (record / replay) ──────────────────────────────────────────────
+// FIXTURE_MODE=record saves each network source's raw payloads to
+// FIXTURE_DIR/<SOURCE>.json; FIXTURE_MODE=replay reads them back instead of
+// fetching, so the whole pipeline can rerun with no network.
+const FIXTURE_MODES = new Set(['', 'record', 'replay']);
+
+function fixtureConfig(env = process.env) {
+  const mode = (env.FIXTURE_MODE || '').toLowerCase();
+  if (!FIXTURE_MODES.has(mode)) throw new Error(`FIXTURE_MODE must be "record" or "replay", got "${env.FIXTURE_MODE}"`);
+  return { mode, dir: path.resolve(env.FIXTURE_DIR || 'fixtures') };
+}
+
+function fixturePath(dir, name) { return path.join(dir, `${name}.json`); }
+
+function readFixture(dir, name) {
+  const file = fixturePath(dir, name);
+  if (!fs.existsSync(file)) throw new Error(`No fixture recorded at ${file}`);
+  return JSON.parse(fs.readFileSync(file, 'utf8')).raw;
+}
+
+function writeFixture(dir, name, raw, day) {
+  fs.mkdirSync(dir, { recursive: true });
+  const doc = { source: name, day, recordedAt: new Date().toISOString(), raw };
+  fs.writeFileSync(fixturePath(dir, name), JSON.stringify(doc, null, 2));
+  console.log(`  Recorded fixture ${path.relative(process.cwd(), fixturePath(dir, name))}`);
+}
+
+/**
+ * Picks 2 easy, 2 medium and 1 hard from normalised pools.
+ * Throws when a bucket can't be filled after filtering + dedup. A reuse source
+ * that runs out of unused questions in a bucket keeps what is left and fills
+ * the other slots from used.json, with a warning; those repeats are added to
+ * `repeats`, so runSource knows which ones are meant to be in the history.
+ */
+function buildSet(pools, seedBase, seen, { name = 'source', reuse = false } = {}, blocked = new Set(), repeats = new Set()) {
+  const isSeen = q => seen.has(qKey(q.text, q.correctAnswer));
+  const pick = (pool = [], n, offset, difficulty) => {
+    const fresh = buildFromPool(pool, n, seen, seedBase, offset);
+    if (fresh || !reuse) return fresh;
+    // Repeats never include a blocked question
+    const unused = pool.filter(q => passFilter(q) && !isSeen(q));
+    const kept = unused.length ? buildFromPool(unused, unused.length, seen, seedBase, offset) : [];
+    const refill = buildFromPool(pool.filter(isSeen), n - kept.length, blocked, seedBase, offset + kept.length);
+    if (!refill) return null;
+    console.warn(`  ! ${name} is out of unused ${difficulty} questions — repeating ${refill.length} from used.json; add more to the pools`);
+    refill.forEach(q => repeats.add(q));
+    return [...kept, ...refill];
+  };
+  const easy   = pick(pools.easy,   2, 0, 'easy');
+  const medium = pick(pools.medium, 2, 2, 'medium');
+  const hard   = pick(pools.hard,   1, 4, 'hard');
+
+  if (!easy || !medium || !hard || easy.length < 2 || medium.length < 2 || hard.length < 1) {
+    throw new Error(reuse
+      ? `${name} exhausted — add more questions!`
+      : `Not enough questions after filtering from ${name}`);
+  }
+  return [...easy, ...medium, ...hard];
+}
+
+/**
+ * Fetches (or replays) one source, builds its set and scores it against
+ * `history`. Each attempt is appended to `report` when given, with the
+ * explainPool() tally for every difficulty (and `repeats`, how many questions
+ * came back from used.json); a set under QUALITY_MIN throws like any other
+ * source failure.
+ */
+async function runSource(adapter, { seedBase, seen, blocked, bank, day, fixtures = { mode: '' }, history = [], report }) {
+  const live = adapter.offline || !fixtures.mode || fixtures.mode === 'record';
+  let raw;
+  if (live) {
+    raw = await adapter.fetch({ getJson: fetchJsonWithBackoff, bank });
+    if (fixtures.mode === 'record' && !adapter.offline) writeFixture(fixtures.dir, adapter.name, raw, day);
+  } else {
+    console.log('  Replaying recorded fixture…');
+    raw = readFixture(fixtures.dir, adapter.name);
+  }
+  const pools = adapter.normalize(raw);
+  const filters = Object.fromEntries(DIFFICULTIES.map(d => [d, explainPool(pools[d], seen, blocked)]));
+  let set;
+  const repeats = new Set();
+  try {
+    set = buildSet(pools, seedBase, seen, adapter, blocked, repeats);
+  } catch (e) {
+    if (report) report.push({ source: adapter.name, error: e.message, filters });
+    throw e;
+  }
+  const quality = scoreSet(set, history, QUALITY_MIN, repeats);
+  if (report) report.push({ source: adapter.name, ...quality, ...(repeats.size && { repeats: repeats.size }), filters });
+  quality.questions.flatMap(r => r.issues).forEach(i => console.log(`  ! ${i.check}: ${i.detail}`));
+  if (!quality.pass) throw new Error(`Quality score ${quality.score} is below ${QUALITY_MIN}`);
+  return set;
 }
 
 // ─── Source 1: The Trivia API ────────────────────────────────────────────────
@@ -205,12 +541,13 @@ const TRIVIA_API_CATS = [
   'sport_and_leisure','food_and_drink','society_and_culture','arts_and_literature',
 ];
 
-async function fetchFromTriviaAPI(difficulty, amount) {
+function triviaApiUrl(difficulty, amount) {
   const cats = TRIVIA_API_CATS.join(',');
-  const url = `https://the-trivia-api.com/v2/questions?limit=${amount}&difficulties=${difficulty}&categories=${cats}`;
-  const data = await fetchJsonWithBackoff(url);
-  if (!Array.isArray(data)) throw new Error('Unexpected response from The Trivia API');
+  return `https://the-trivia-api.com/v2/questions?limit=${amount}&difficulties=${difficulty}&categories=${cats}`;
+}
 
+function normalizeTriviaAPI(data, difficulty) {
+  if (!Array.isArray(data)) throw new Error('Unexpected response from The Trivia API');
   return data.map(q => ({
     text:             decodeHTMLEntities(q.question?.text || ''),
     correctAnswer:    decodeHTMLEntities(q.correctAnswer || ''),
@@ -220,33 +557,36 @@ async function fetchFromTriviaAPI(difficulty, amount) {
   }));
 }
 
-async function tryTriviaAPI(seedBase, seen) {
-  console.log('  Trying The Trivia API…');
-  const [easyPool, medPool, hardPool] = await Promise.all([
-    fetchFromTriviaAPI('easy',   24),
-    fetchFromTriviaAPI('medium', 20),
-    fetchFromTriviaAPI('hard',   16),
-  ]);
-
-  const easy   = buildFromPool(easyPool,   2, seen, seedBase, 0);
-  const medium = buildFromPool(medPool,    2, seen, seedBase, 2);
-  const hard   = buildFromPool(hardPool,   1, seen, seedBase, 4);
-
-  if (!easy || !medium || !hard || easy.length < 2 || medium.length < 2 || hard.length < 1) {
-    throw new Error('Not enough questions after filtering from The Trivia API');
-  }
-  return [...easy, ...medium, ...hard];
-}
+registerSource({
+  name: 'THE_TRIVIA_API',
+  async fetch({ getJson }) {
+    console.log('  Trying The Trivia API…');
+    const [easy, medium, hard] = await Promise.all([
+      getJson(triviaApiUrl('easy',   24)),
+      getJson(triviaApiUrl('medium', 20)),
+      getJson(triviaApiUrl('hard',   16)),
+    ]);
+    return { easy, medium, hard };
+  },
+  normalize(raw) {
+    return {
+      easy:   normalizeTriviaAPI(raw.easy,   'easy'),
+      medium: normalizeTriviaAPI(raw.medium, 'medium'),
+      hard:   normalizeTriviaAPI(raw.hard,   'hard'),
+    };
+  },
+});
 
-// ─── Source 2: OpenTDB (original, kept unchanged) ────────────────────────────
+// ─── Source 2: OpenTDB ───────────────────────────────────────────────────────
 const GK_CATEGORY_ID = 9;
 
-async function fetchFromOpenTDB(difficulty, amount, categoryId = null) {
+function openTdbUrl(difficulty, amount, categoryId = null) {
   const base = `https://opentdb.com/api.php?amount=${amount}&type=multiple&difficulty=${difficulty}`;
-  const url  = categoryId ? `${base}&category=${categoryId}` : base;
-  const data = await fetchJsonWithBackoff(url);
-  const list = Array.isArray(data?.results) ? data.results : [];
+  return categoryId ? `${base}&category=${categoryId}` : base;
+}
 
+function normalizeOpenTDB(data, difficulty) {
+  const list = Array.isArray(data?.results) ? data.results : [];
   return list.map(q => ({
     text:             decodeHTMLEntities(q.question || ''),
     correctAnswer:    decodeHTMLEntities(q.correct_answer || ''),
@@ -256,28 +596,27 @@ async function fetchFromOpenTDB(difficulty, amount, categoryId = null) {
   }));
 }
 
-async function tryOpenTDB(seedBase, seen) {
-  console.log('  Trying OpenTDB…');
-  const [easyA, easyGK, medA, medGK, hardPool] = await Promise.all([
-    fetchFromOpenTDB('easy',   17, null),
-    fetchFromOpenTDB('easy',   7,  GK_CATEGORY_ID),
-    fetchFromOpenTDB('medium', 14, null),
-    fetchFromOpenTDB('medium', 6,  GK_CATEGORY_ID),
-    fetchFromOpenTDB('hard',   16, null),
-  ]);
-
-  const easyPool = [...easyGK, ...easyA];
-  const medPool  = [...medGK,  ...medA];
-
-  const easy   = buildFromPool(easyPool,  2, seen, seedBase, 0);
-  const medium = buildFromPool(medPool,   2, seen, seedBase, 2);
-  const hard   = buildFromPool(hardPool,  1, seen, seedBase, 4);
-
-  if (!easy || !medium || !hard || easy.length < 2 || medium.length < 2 || hard.length < 1) {
-    throw new Error('Not enough questions after filtering from OpenTDB');
-  }
-  return [...easy, ...medium, ...hard];
-}
+registerSource({
+  name: 'OPENTDB',
+  async fetch({ getJson }) {
+    console.log('  Trying OpenTDB…');
+    const [easyA, easyGK, medA, medGK, hard] = await Promise.all([
+      getJson(openTdbUrl('easy',   17, null)),
+      getJson(openTdbUrl('easy',   7,  GK_CATEGORY_ID)),
+      getJson(openTdbUrl('medium', 14, null)),
+      getJson(openTdbUrl('medium', 6,  GK_CATEGORY_ID)),
+      getJson(openTdbUrl('hard',   16, null)),
+    ]);
+    return { easyA, easyGK, medA, medGK, hard };
+  },
+  normalize(raw) {
+    return {
+      easy:   [...normalizeOpenTDB(raw.easyGK, 'easy'),   ...normalizeOpenTDB(raw.easyA, 'easy')],
+      medium: [...normalizeOpenTDB(raw.medGK,  'medium'), ...normalizeOpenTDB(raw.medA,  'medium')],
+      hard:   normalizeOpenTDB(raw.hard, 'hard'),
+    };
+  },
+});
 
 // ─── Source 3: Local fallback bank ───────────────────────────────────────────
 // Large enough to handle ~2 weeks of API outages without repeating.
@@ -336,39 +675,226 @@ const FALLBACK_BANK = {
   ],
 };
 
-function fromFallback(seedBase, seen) {
-  console.log('  Using local fallback bank…');
-  const make = (rows, difficulty, category) => rows.map(r => ({
-    text: r[0], correctAnswer: r[1],
-    incorrectAnswers: [r[2], r[3], r[4]],
-    difficulty, category,
-  }));
-  const easy   = make(FALLBACK_BANK.easy,   'easy',   'General Knowledge');
-  const medium = make(FALLBACK_BANK.medium, 'medium', 'General Knowledge');
-  const hard   = make(FALLBACK_BANK.hard,   'hard',   'General Knowledge');
+// ─── Local pools (OpenTDB shape) ─────────────────────────────────────────────
+// One file per difficulty; every row is validated strictly so a bad edit
+// fails the run instead of silently shrinking the bank.
+const POOL_DIRS = [
+  path.resolve(__dirname, '..', 'pools'),
+  path.resolve(__dirname, '..', '.github', 'pools'),
+];
+// Other locales keep their pools in a subfolder of each, e.g. pools/es/easy.json
+function poolDirs(locale = 'en') {
+  return locale === 'en' ? POOL_DIRS : POOL_DIRS.map(dir => path.join(dir, locale));
+}
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const POOL_KEYS = new Set(['category', 'type', 'difficulty', 'question', 'correct_answer', 'incorrect_answers']);
+
+/**
+ * Validates one pool row and returns it as a normalised question.
+ * Throws with `<file>[<row>]` in the message so the offending entry is easy to find.
+ */
+function validatePoolRow(row, difficulty, where) {
+  const fail = msg => { throw new Error(`${where}: ${msg}`); };
+  const isStr = v => typeof v === 'string' && v.trim().length > 0;
 
-  const e = buildFromPool(easy,   2, seen, seedBase, 0) || buildFromPool(easy,   2, new Set(), seedBase, 0);
-  const m = buildFromPool(medium, 2, seen, seedBase, 2) || buildFromPool(medium, 2, new Set(), seedBase, 2);
-  const h = buildFromPool(hard,   1, seen, seedBase, 4) || buildFromPool(hard,   1, new Set(), seedBase, 4);
+  if (!row || typeof row !== 'object' || Array.isArray(row)) fail('entry must be an object');
+  const extra = Object.keys(row).filter(k => !POOL_KEYS.has(k));
+  if (extra.length)                              fail(`unknown field(s): ${extra.join(', ')}`);
+  if (!isStr(row.question))                      fail('"question" must be a non-empty string');
+  if (!isStr(row.correct_answer))                fail('"correct_answer" must be a non-empty string');
+  if (!Array.isArray(row.incorrect_answers) || row.incorrect_answers.length !== 3 || !row.incorrect_answers.every(isStr)) {
+    fail('"incorrect_answers" must be an array of 3 non-empty strings');
+  }
+  if (!isStr(row.category))                      fail('"category" must be a non-empty string');
+  if (!ALLOW_CATS.has(row.category))             fail(`category "${row.category}" is not in ALLOW_CATS`);
+  if (row.type !== undefined && row.type !== 'multiple') fail(`type "${row.type}" is not supported (only "multiple")`);
+  if (row.difficulty !== undefined && row.difficulty !== difficulty) {
+    fail(`difficulty "${row.difficulty}" does not match its ${difficulty} pool`);
+  }
 
-  if (!e || !m || !h) throw new Error('Local fallback bank exhausted — add more questions!');
-  return [...e, ...m, ...h];
+  const q = {
+    text:             decodeHTMLEntities(row.question),
+    correctAnswer:    decodeHTMLEntities(row.correct_answer),
+    incorrectAnswers: row.incorrect_answers.map(decodeHTMLEntities),
+    difficulty,
+    category:         row.category,
+  };
+  const opts = [q.correctAnswer, ...q.incorrectAnswers].map(norm);
+  if (new Set(opts).size !== 4)                  fail('options must be 4 unique answers');
+  if (!passFilter(q))                            fail(`"${q.text}" is rejected by passFilter()`);
+  return q;
 }
 
-// ─── Main ────────────────────────────────────────────────────────────────────
-(async () => {
-  const today    = yyyymmdd(new Date(), ET_TZ);
-  const dayIndex = dayIndexFrom(START_DAY, today);
-  const outPath  = path.resolve('daily.json');
-  const usedPath = path.resolve('used.json');
-  const REROLL_NONCE = process.env.REROLL_NONCE || '';
-
-  // Load used ledger
-  let used = { seen: [] };
+function loadPoolFile(file, difficulty) {
+  const rel = path.relative(path.resolve(__dirname, '..'), file);
+  let rows;
+  try {
+    rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${rel}: invalid JSON — ${e.message}`);
+  }
+  if (!Array.isArray(rows)) throw new Error(`${rel}: expected a top-level array`);
+  return rows.map((row, i) => validatePoolRow(row, difficulty, `${rel}[${i}]`));
+}
+
+/**
+ * Builds the local bank: pool files first, then the inline bank (the English
+ * FALLBACK_BANK by default; other locales pass null and rely on their pools),
+ * deduplicated by qKey(). Throws on the first malformed pool entry.
+ */
+function loadLocalBank(dirs = POOL_DIRS, inlineBank = FALLBACK_BANK) {
+  const bank = {};
+  for (const difficulty of DIFFICULTIES) {
+    const inline = (inlineBank ? inlineBank[difficulty] : []).map(r => ({
+      text: r[0], correctAnswer: r[1],
+      incorrectAnswers: [r[2], r[3], r[4]],
+      difficulty, category: 'General Knowledge',
+    }));
+    const fromPools = dirs
+      .map(dir => path.join(dir, `${difficulty}.json`))
+      .filter(file => fs.existsSync(file))
+      .flatMap(file => loadPoolFile(file, difficulty));
+
+    const keys = new Set();
+    bank[difficulty] = [...fromPools, ...inline].filter(q => {
+      const k = qKey(q.text, q.correctAnswer);
+      if (keys.has(k)) return false;
+      keys.add(k);
+      return true;
+    });
+  }
+  return bank;
+}
+
+registerSource({
+  name: 'LOCAL_FALLBACK',
+  offline: true,
+  reuse: true,
+  locales: '*',
+  async fetch({ bank }) {
+    console.log('  Using local fallback bank…');
+    return bank;
+  },
+  normalize(raw) { return raw; },
+});
+
+// ─── Curated schedule ────────────────────────────────────────────────────────
+// A hand-written set at curated/YYYYMMDD.json pins that day's questions ahead
+// of every API source. Shape:
+//   { "theme": "optional title", "questions": [ 5 pool-style rows with difficulty ] }
+const CURATED_DIR = path.resolve(__dirname, '..', 'curated');
+
+/**
+ * Returns { theme, questions } for `day`, or null when nothing is scheduled.
+ * Rows go through the same validation as the pool files; a malformed file, or
+ * one holding a blocklisted question, throws.
+ */
+function fromCurated(day, seedBase, seen, dir = CURATED_DIR, blocked = new Set()) {
+  const file = path.join(dir, `${day}.json`);
+  if (!fs.existsSync(file)) return null;
+  const rel = path.relative(path.resolve(__dirname, '..'), file);
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${rel}: invalid JSON — ${e.message}`);
+  }
+  if (!doc || !Array.isArray(doc.questions) || doc.questions.length !== 5) {
+    throw new Error(`${rel}: "questions" must be an array of exactly 5 entries`);
+  }
+  if (doc.theme !== undefined && (typeof doc.theme !== 'string' || !doc.theme.trim())) {
+    throw new Error(`${rel}: "theme" must be a non-empty string when present`);
+  }
+
+  const qs = doc.questions.map((row, i) => {
+    const where = `${rel}.questions[${i}]`;
+    if (!DIFFICULTIES.includes(row?.difficulty)) {
+      throw new Error(`${where}: "difficulty" must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    return validatePoolRow(row, row.difficulty, where);
+  });
+  const keys = new Set(qs.map(q => qKey(q.text, q.correctAnswer)));
+  if (keys.size !== qs.length) throw new Error(`${rel}: contains duplicate questions`);
+
+  // A confirmed report outranks the schedule; a mere repeat only warrants a warning
+  const pulled = qs.find(q => blocked.has(qKey(q.text, q.correctAnswer)));
+  if (pulled) throw new Error(`${rel}: "${pulled.text}" is on the blocklist`);
+  qs.filter(q => seen.has(qKey(q.text, q.correctAnswer)))
+    .forEach(q => console.warn(`  ! Curated question already in used.json: "${q.text}"`));
+
+  qs.sort((a, b) => DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty));
+  return {
+    theme:     doc.theme ? doc.theme.trim() : null,
+    questions: qs.map((q, i) => toDailyQuestion(q, (seedBase + i * 7) >>> 0)).filter(Boolean),
+  };
+}
+
+// ─── Archive ─────────────────────────────────────────────────────────────────
+/**
+ * Keeps a copy of every day's set under archive/YYYYMMDD.json plus an
+ * archive/index.json manifest keyed by dayIndex, so past days stay playable
+ * after daily.json is overwritten. A reroll simply replaces that day's entry.
+ */
+function writeArchive(payload, dir = path.resolve('archive')) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${payload.day}.json`), JSON.stringify(payload, null, 2));
+
+  const indexPath = path.join(dir, 'index.json');
+  let manifest = { days: {} };
+  try {
+    if (fs.existsSync(indexPath)) {
+      manifest = JSON.parse(fs.readFileSync(indexPath, 'utf8') || '{}');
+      manifest.days = manifest.days || {};
+    }
+  } catch (e) {
+    console.warn('Could not read archive/index.json, rebuilding:', e.message);
+  }
+
+  manifest.days[payload.dayIndex] = {
+    day:    payload.day,
+    source: payload.source,
+    reroll: payload.reroll,
+    ...(payload.theme ? { theme: payload.theme } : {}),
+  };
+  manifest.latest = Math.max(...Object.keys(manifest.days).map(Number));
+  fs.writeFileSync(indexPath, JSON.stringify(manifest, null, 2));
+  console.log(`Archived ${payload.day}.json — ${Object.keys(manifest.days).length} days in archive`);
+}
+
+/**
+ * A day built ahead of time waits in upcoming/YYYYMMDD.json: it isn't in
+ * archive/index.json and _redirects keeps it off the site, so nobody sees it
+ * before its day. The run on that day moves it into the archive and daily.json.
+ */
+function writeUpcoming(payload, dir = path.resolve('upcoming')) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${payload.day}.json`), JSON.stringify(payload, null, 2));
+  console.log(`Queued ${payload.day}.json in upcoming/ until its day`);
+}
+
+// ─── Used ledger ─────────────────────────────────────────────────────────────
+/**
+ * Reads used.json as { seen: [qKey…], texts: [question…] }, each capped to the
+ * last USED_CAP entries. `seen` drives exact dedup, `texts` the near-duplicate
+ * check in scoreSet(). The original ledger was a bare array of question texts,
+ * which carry no answers to make qKeys from: that format is migrated with
+ * legacySeen(), from the sets published in `archiveDir` and the bank.
+ */
+function loadUsed(usedPath, { archiveDir, mac, bank } = {}) {
+  let used = { seen: [], texts: [] };
   try {
     if (fs.existsSync(usedPath)) {
-      used = JSON.parse(fs.readFileSync(usedPath, 'utf8') || '{}');
-      used.seen = used.seen || [];
+      const raw = JSON.parse(fs.readFileSync(usedPath, 'utf8') || '{}');
+      if (Array.isArray(raw)) {
+        used.texts = raw.filter(t => typeof t === 'string').map(decodeHTMLEntities);
+        used.seen = legacySeen(used.texts, { archiveDir, mac, bank });
+        console.warn(`  used.json is in the legacy text format (${raw.length} entries) — migrated to ${used.seen.length} qKeys`);
+      } else {
+        used = raw;
+        used.seen = Array.isArray(used.seen) ? used.seen : [];
+        used.texts = Array.isArray(used.texts) ? used.texts : [];
+      }
     }
   } catch (e) {
     console.warn('Could not read used.json, starting fresh:', e.message);
@@ -379,21 +905,98 @@ function fromFallback(seedBase, seen) {
     console.log(`  used.json has ${used.seen.length} entries — trimming to last ${USED_CAP}`);
     used.seen = used.seen.slice(-USED_CAP);
   }
-  const seen = new Set(used.seen);
+  used.texts = used.texts.slice(-USED_CAP);
+  return used;
+}
+
+/**
+ * qKeys for a legacy ledger of bare `texts`: every question published under
+ * `archiveDir` (unsealed with `mac`), in day order, then every bank question
+ * whose text the ledger lists, or whose archived copy was sealed with another key.
+ */
+function legacySeen(texts, { archiveDir, mac, bank } = {}) {
+  const keys = [], unknown = new Set(texts.map(norm));
+  const files = archiveDir && fs.existsSync(archiveDir) ? fs.readdirSync(archiveDir).filter(f => /^\d{8}\.json$/.test(f)).sort() : [];
+  for (const f of files) {
+    let questions;
+    try {
+      ({ questions } = JSON.parse(fs.readFileSync(path.join(archiveDir, f), 'utf8')));
+    } catch (e) {
+      console.warn(`  Skipping archive/${f} while migrating used.json: ${e.message}`);
+      continue;
+    }
+    for (const q of Array.isArray(questions) ? questions : []) {
+      const { correct } = mac ? unsealQuestion(q, mac) : q;
+      const answer = Array.isArray(q.options) && Number.isInteger(correct) ? q.options[correct] : undefined;
+      if (answer === undefined) unknown.add(norm(q.text));
+      else keys.push(qKey(q.text, answer));
+    }
+  }
+  for (const q of Object.values(bank || {}).flat()) {
+    if (unknown.has(norm(q.text))) keys.push(qKey(q.text, q.correctAnswer));
+  }
+  return [...new Set(keys)];
+}
+
+// ─── Blocklist ───────────────────────────────────────────────────────────────
+// Lives at the repo root like the pools, whatever --out is: a run into a scratch
+// directory must still skip every pulled question.
+const BLOCKLIST = path.resolve(__dirname, '..', 'blocklist.json');
+
+/**
+ * Reads blocklist.json — questions pulled after a player report was confirmed
+ * (scripts/reports.cjs writes it). Shape: { blocked: [{ key, day, locale?, text, answer, reasons }] }.
+ * One list serves every locale: qKeys differ by language anyway.
+ * Returns the set of blocked qKeys; these are never picked, not even by reuse sources.
+ */
+function loadBlocklist(file = BLOCKLIST) {
+  try {
+    if (!fs.existsSync(file)) return new Set();
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+    return new Set((Array.isArray(raw.blocked) ? raw.blocked : []).map(b => b && b.key).filter(Boolean));
+  } catch (e) {
+    console.warn('Could not read blocklist.json, ignoring it:', e.message);
+    return new Set();
+  }
+}
 
-  const seedBase = (Number(today) ^ (REROLL_NONCE
-    ? (parseInt(fnv1a(REROLL_NONCE), 16) >>> 0)
-    : 0)) >>> 0;
+// ─── One day ─────────────────────────────────────────────────────────────────
+/**
+ * Builds the set for `day`: the curated file when there is one, otherwise the
+ * first adapter whose set survives the filters and the quality bar. The
+ * picked questions are added to `used` in memory so later days in the same
+ * run don't repeat them; writing anything is left to the caller. `mac` seals
+ * the answers (answerMac of the site's PLAY_SECRET).
+ * Resolves with { payload, report } — payload is null when every source failed.
+ */
+async function generateDay(day, { used, blocked = new Set(), bank, adapters, fixtures = { mode: '' }, nonce = '', curatedDir = CURATED_DIR, mac }) {
+  const seedBase = seedFor(day, nonce);
+  const seen = new Set([...used.seen, ...blocked]);
 
-  let source = 'OPENTDB', chosen = [];
+  // A curated set for the day is validated up front and wins over every source
+  let curated = null;
+  if (curatedDir) {
+    try {
+      curated = fromCurated(day, seedBase, seen, curatedDir, blocked);
+    } catch (e) {
+      throw new Error(`Invalid curated set — ${e.message}`);
+    }
+  }
 
-  // Try each source in order
+  // Try each source in order; every attempt lands in the quality report
+  const report = { day, generatedAt: new Date().toISOString(), threshold: QUALITY_MIN, published: null, attempts: [] };
+  const ctx = { seedBase, seen, blocked, bank, day, fixtures, history: used.texts, report: report.attempts };
+  // Curated sets are pinned on purpose, so their score is recorded but never rejects them
+  const scoreCurated = () => {
+    report.attempts.push({ source: 'CURATED', ...scoreSet(curated.questions, used.texts) });
+    return curated.questions;
+  };
   const sources = [
-    { name: 'THE_TRIVIA_API', fn: () => tryTriviaAPI(seedBase, seen) },
-    { name: 'OPENTDB',        fn: () => tryOpenTDB(seedBase, seen)    },
-    { name: 'LOCAL_FALLBACK', fn: () => fromFallback(seedBase, seen)  },
+    ...(curated ? [{ name: 'CURATED', fn: async () => scoreCurated() }] : []),
+    ...adapters.map(adapter => ({ name: adapter.name, fn: () => runSource(adapter, ctx) })),
   ];
 
+  let source = null, chosen = [];
   for (const src of sources) {
     try {
       console.log(`\nAttempting source: ${src.name}`);
@@ -406,35 +1009,259 @@ function fromFallback(seedBase, seen) {
       throw new Error(`Got ${chosen?.length ?? 0} questions, need 5`);
     } catch (e) {
       console.warn(`  ✗ ${src.name} failed: ${e.message}`);
+      if (!report.attempts.some(a => a.source === src.name)) report.attempts.push({ source: src.name, error: e.message });
     }
   }
-
-  if (!chosen || chosen.length !== 5) {
-    console.error('All sources failed — cannot write daily.json');
-    process.exit(1);
-  }
+  report.published = source;
+  if (!source) return { payload: null, report };
 
   // Validate all correct indices are valid (final safety net)
   const invalid = chosen.filter(q => q.correct < 0 || q.correct >= q.options.length);
-  if (invalid.length > 0) {
-    console.error('Validation failed: some questions have invalid correct index', invalid);
-    process.exit(1);
-  }
+  if (invalid.length > 0) throw new Error(`Validation failed: some questions have an invalid correct index — ${JSON.stringify(invalid)}`);
 
-  // Write daily.json
   const payload = {
-    day:       today,
-    dayIndex,
-    reroll:    Boolean(REROLL_NONCE),
+    day,
+    dayIndex:  dayIndexFrom(START_DAY, day),
+    reroll:    Boolean(nonce),
     source,
-    questions: chosen,
+    ...(source === 'CURATED' && curated.theme ? { theme: curated.theme } : {}),
+    questions: chosen.map((q, i) => sealQuestion(dealOptions(q, mac(`${day}|${i}`)), fnv1a(`${seedBase}:${i}`), mac)),
   };
-  fs.writeFileSync(outPath, JSON.stringify(payload, null, 2));
-  console.log(`\nWrote daily.json — day ${today} (index ${dayIndex}), source: ${source}`);
-
-  // Update used.json
-  const newKeys = chosen.map(q => qKey(q.text, q.options[q.correct]));
-  used.seen = [...used.seen, ...newKeys].slice(-USED_CAP); // keep cap on write too
-  fs.writeFileSync(usedPath, JSON.stringify(used, null, 2));
-  console.log(`Updated used.json — now ${used.seen.length} entries (cap: ${USED_CAP})`);
-})();
+  used.seen = [...used.seen, ...chosen.map(q => qKey(q.text, q.options[q.correct]))].slice(-USED_CAP);
+  used.texts = [...used.texts, ...chosen.map(q => q.text)].slice(-USED_CAP);
+  return { payload, report };
+}
+
+/** A day already built (in the archive, or ahead with --days in upcoming/), or null. */
+function readArchived(dir, day) {
+  const file = path.join(dir, `${day}.json`);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(payload.questions) && payload.questions.length === 5 ? payload : null;
+  } catch (e) {
+    console.warn(`Could not read ${file}, building the day again:`, e.message);
+    return null;
+  }
+}
+
+// ─── Preview ─────────────────────────────────────────────────────────────────
+function describeFilters(f) {
+  const dropped = Object.entries(f.dropped).sort((a, b) => b[1] - a[1]).map(([why, n]) => `${n} ${why}`);
+  return `${f.eligible} of ${f.total} eligible${dropped.length ? ` (dropped: ${dropped.join(', ')})` : ''}`;
+}
+
+/**
+ * Renders a day's set as plain text: which sources were tried and why they
+ * failed, then each question with its answer marked, the quality issues found
+ * and the filter tally of the pool it was picked from. `report` may be null for
+ * a set read back from the archive; `mac` opens the seal.
+ */
+function renderPreview(payload, report, mac) {
+  const lines = [`Daily Five #${payload.dayIndex} — ${payload.day} · ${payload.source}${payload.theme ? ` · ${payload.theme}` : ''}`];
+  const attempts = report ? report.attempts : [];
+  const picked = attempts.find(a => a.source === payload.source) || {};
+  if (!report) lines.push('  (built earlier — read back from the archive)');
+  for (const a of attempts) {
+    const mark = a.source === payload.source ? '✓' : '✗';
+    lines.push(`  ${mark} ${a.source}: ${a.error ? a.error : `quality ${a.score.toFixed(2)} (min ${report.threshold})`}`);
+  }
+  payload.questions.forEach((q, i) => {
+    const quality = picked.questions ? picked.questions[i] : null;
+    lines.push('', `Q${i + 1}  [${q.difficulty} · ${q.category}]${quality ? `  quality ${quality.score.toFixed(2)}` : ''}`, `  ${q.text}`);
+    const answer = unsealQuestion(q, mac).correct;
+    q.options.forEach((o, j) => lines.push(`    ${j === answer ? '✓' : ' '} ${o}`));
+    if (payload.source === 'CURATED') lines.push(`  · pinned by curated/${payload.day}.json`);
+    else if (picked.filters) lines.push(`  · picked by ${payload.source} from ${describeFilters(picked.filters[q.difficulty])}`);
+    (quality ? quality.issues : []).forEach(iss => lines.push(`  ! ${iss.check}: ${iss.detail}`));
+  });
+  return lines.join('\n');
+}
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+const USAGE = `Usage: node scripts/generate-daily.cjs [preview] [options]
+
+  preview          print the set(s) as text with the decisions behind each pick; writes nothing
+  --date YYYYMMDD  first day to build (default: today in ET)
+  --days N         build N consecutive days from --date, e.g. 7 for a week ahead (default: 1)
+  --dry-run        print the set(s) as daily.json would hold them; writes nothing
+  --source NAME    use only this adapter and skip curated sets, e.g. LOCAL_FALLBACK
+  --locale CODE    language of the set: ${LOCALES.join(', ')} (default: en); other than en writes
+                   daily.CODE.json, used.CODE.json, archive/CODE/, upcoming/CODE/ and quality/CODE/
+  --out DIR        where used.json, daily.json, archive/, upcoming/ and quality/ live (default: .);
+                   blocklist.json is always read from the repo root
+
+  Days after today go to upcoming/, not the archive; each is published on its day.
+  -h, --help       show this help`;
+
+function addDays(ymd, n) {
+  return yyyymmdd(new Date(toUTCDate(ymd).getTime() + n * 86400000), 'UTC');
+}
+
+/** Parses the command line; throws with a readable message on anything it doesn't understand. */
+function parseCli(argv, today = yyyymmdd(new Date(), ET_TZ)) {
+  const { values, positionals } = util.parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      date:      { type: 'string' },
+      days:      { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      source:    { type: 'string' },
+      locale:    { type: 'string' },
+      out:       { type: 'string' },
+      help:      { type: 'boolean', short: 'h' },
+    },
+  });
+  const [command = 'generate', ...extra] = positionals;
+  if (!['generate', 'preview'].includes(command) || extra.length) throw new Error(`Unknown command "${positionals.join(' ')}"`);
+
+  const date = values.date ?? today;
+  if (!/^\d{8}$/.test(date) || addDays(date, 0) !== date) throw new Error(`--date must be a real day as YYYYMMDD, got "${date}"`);
+  const days = values.days === undefined ? 1 : Number(values.days);
+  if (!Number.isInteger(days) || days < 1 || days > 31) throw new Error('--days must be a whole number from 1 to 31');
+  if (values.source !== undefined && !values.source.trim()) throw new Error('--source needs an adapter name');
+  const locale = values.locale ?? 'en';
+  if (!LOCALES.includes(locale)) throw new Error(`--locale must be one of ${LOCALES.join(', ')}, got "${locale}"`);
+
+  return {
+    command,
+    help:   Boolean(values.help),
+    date,
+    days,
+    dryRun: command === 'preview' || Boolean(values['dry-run']),
+    source: values.source ? values.source.trim().toUpperCase() : null,
+    locale,
+    out:    path.resolve(values.out || '.'),
+  };
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+async function main(argv = process.argv.slice(2)) {
+  if (typeof fetch !== 'function') {
+    console.error('Node 20+ required: global fetch not found. Use nvm use 20.');
+    process.exit(1);
+  }
+
+  let opts;
+  try {
+    opts = parseCli(argv);
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  if (opts.help) { console.log(USAGE); return; }
+
+  const today      = yyyymmdd(new Date(), ET_TZ);
+  const nonce      = process.env.REROLL_NONCE || '';
+  const { locale } = opts;
+  const sub        = locale === 'en' ? '' : locale;
+  const dailyFile  = localeFile('daily.json', locale);
+  const usedFile   = localeFile('used.json', locale);
+  const usedPath   = path.join(opts.out, usedFile);
+  const archiveDir = path.join(opts.out, 'archive', sub);
+  const upcomingDir = path.join(opts.out, 'upcoming', sub);
+  const qualityDir = path.resolve(opts.out, process.env.QUALITY_DIR || 'quality', sub);
+  const curatedDir = path.join(CURATED_DIR, sub);
+  if (sub) console.log(`  Locale: ${locale}`);
+
+  const blocked = loadBlocklist();
+  if (blocked.size) console.log(`  Blocklist: ${blocked.size} question${blocked.size === 1 ? '' : 's'}`);
+
+  // Validate the local pools up front — a malformed entry should fail the run
+  let bank;
+  try {
+    bank = loadLocalBank(poolDirs(locale), locale === 'en' ? FALLBACK_BANK : null);
+    console.log(`  Local bank: ${DIFFICULTIES.map(d => `${bank[d].length} ${d}`).join(', ')}`);
+  } catch (e) {
+    console.error(`Invalid question pool — ${e.message}`);
+    process.exit(1);
+  }
+
+  // Source order: --source, else QUESTION_SOURCES, else registration order
+  let adapters, fixtures;
+  try {
+    adapters = opts.source ? sourceOrder(opts.source, locale) : sourceOrder(undefined, locale);
+    fixtures = fixtureConfig();
+  } catch (e) {
+    console.error(`Invalid source config — ${e.message}`);
+    process.exit(1);
+  }
+  if (fixtures.mode) console.log(`  Fixture mode: ${fixtures.mode} (${fixtures.dir})`);
+
+  // A set sealed with any other key than the site's can't be played, so CI must be given it
+  if (process.env.CI && !process.env.PLAY_SECRET && !opts.dryRun) {
+    console.error('PLAY_SECRET is not set — published answers are sealed with the site\'s key');
+    process.exit(1);
+  }
+  const mac = answerMac(playSecret({ DF_BLOBS_DIR: path.resolve(__dirname, '..', '.blobs'), ...process.env }));
+  const used = loadUsed(usedPath, { archiveDir, mac, bank });
+
+  let built = 0;
+  for (let i = 0; i < opts.days; i++) {
+    const day = addDays(opts.date, i);
+    if (opts.days > 1) console.log(`\n═══ ${day} ═══`);
+
+    // A day built ahead of time is published as it stands unless rerolled or forced onto one source
+    let payload = null, from = null, report = null;
+    for (const dir of nonce || opts.source ? [] : [archiveDir, upcomingDir]) {
+      if ((payload = readArchived(dir, day))) { from = dir; break; }
+    }
+    if (payload) {
+      console.log(`  Using the set already in ${path.relative(opts.out, path.join(from, `${day}.json`))} (set REROLL_NONCE for a fresh one)`);
+    } else {
+      try {
+        ({ payload, report } = await generateDay(day, { used, blocked, bank, adapters, fixtures, nonce, curatedDir: opts.source ? null : curatedDir, mac }));
+      } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+      }
+      if (!opts.dryRun) writeQualityReport(report, qualityDir);
+      if (!payload) {
+        console.error(`All sources failed — cannot build ${day}`);
+        process.exit(1);
+      }
+      if (sub) payload.locale = locale;
+    }
+
+    if (opts.command === 'preview') { console.log('\n' + renderPreview(payload, report, mac)); continue; }
+    if (opts.dryRun) { console.log('\n' + JSON.stringify(payload, null, 2)); continue; }
+
+    if (report) built++;
+    if (day > today) {
+      if (report) writeUpcoming(payload, upcomingDir);
+      console.log(`\n${day} is ahead — queued in upcoming/, ${dailyFile} untouched`);
+      continue;
+    }
+    if (from !== archiveDir) {
+      writeArchive(payload, archiveDir);
+      fs.rmSync(path.join(upcomingDir, `${day}.json`), { force: true });
+    }
+    if (day === today) {
+      fs.writeFileSync(path.join(opts.out, dailyFile), JSON.stringify(payload, null, 2));
+      console.log(`\nWrote ${dailyFile} — day ${day} (index ${payload.dayIndex}), source: ${payload.source}`);
+    } else {
+      console.log(`\n${day} is in the past — archived only, ${dailyFile} untouched`);
+    }
+  }
+
+  // Update used.json (the cap is applied as each day is added)
+  if (opts.dryRun) {
+    console.log('\nDry run — nothing written');
+  } else if (built) {
+    fs.writeFileSync(usedPath, JSON.stringify(used, null, 2));
+    console.log(`Updated ${usedFile} — now ${used.seen.length} entries (cap: ${USED_CAP})`);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  ET_TZ, START_DAY, USED_CAP, DIFFICULTIES, ALLOW_CATS,
+  yyyymmdd, dayIndexFrom, fnv1a, norm, qKey, seedFor, seededShuffle, dealOptions, decodeHTMLEntities,
+  filterReason, passFilter, explainPool, buildFromPool, toDailyQuestion, buildSet,
+  QUALITY_MIN, tokens, tokenSimilarity, scoreQuestion, scoreSet, writeQualityReport,
+  registerSource, sourceOrder, fixtureConfig, runSource,
+  validatePoolRow, poolDirs, loadLocalBank, fromCurated, writeArchive, writeUpcoming, loadUsed, legacySeen, BLOCKLIST, loadBlocklist,
+  generateDay, renderPreview, parseCli, addDays, USAGE,
+};
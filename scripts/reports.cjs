@@ -0,0 +1,101 @@
+/**
+ * Moderation queue for player question reports (netlify/functions/reports.mjs)
+ *
+ *   npm run reports                          → open reports, most reported first
+ *   npm run reports -- list --status all     → every report (open|confirmed|dismissed|all)
+ *   npm run reports -- confirm <day> <key>   → marks it confirmed and adds it to blocklist.json
+ *   npm run reports -- dismiss <day> <key>   → marks it dismissed
+ *
+ * Commit blocklist.json after confirming: the generator reads it and never
+ * picks those questions again (see loadBlocklist in generate-daily.cjs).
+ *
+ * Environment:
+ *   DF_SITE        site to talk to (default http://localhost:8888, i.e. npm run dev)
+ *   REPORTS_TOKEN  moderator token, the same value the site is configured with
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const USAGE = 'Usage: reports.cjs [list [--status open|confirmed|dismissed|all]] | confirm <day> <key> | dismiss <day> <key>';
+
+/** Adds a confirmed report to blocklist.json (once per key); returns the number of entries. */
+function addToBlocklist(file, report) {
+  let doc = { blocked: [] };
+  if (fs.existsSync(file)) {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8') || '{}');
+    doc.blocked = Array.isArray(doc.blocked) ? doc.blocked : [];
+  }
+  if (!doc.blocked.some(b => b.key === report.key)) {
+    const reasons = Object.keys(report.reasons || {}).filter(r => report.reasons[r] > 0);
+    const locale = report.locale && report.locale !== 'en' ? { locale: report.locale } : {};
+    doc.blocked.push({ key: report.key, day: report.day, ...locale, text: report.text, answer: report.answer, reasons });
+    fs.writeFileSync(file, JSON.stringify(doc, null, 2) + '\n');
+  }
+  return doc.blocked.length;
+}
+
+function formatReport(r) {
+  const reasons = Object.entries(r.reasons).filter(([, n]) => n > 0).map(([k, n]) => `${k} ×${n}`).join(', ');
+  return [
+    `${r.day}  ${r.key}${r.locale && r.locale !== 'en' ? ` (${r.locale})` : ''}  [${r.status}]  ${r.count} report${r.count === 1 ? '' : 's'} — ${reasons}`,
+    `  Q: ${r.text}`,
+    `  A: ${r.answer}`,
+    ...r.notes.map(n => `  “${n}”`),
+  ].join('\n');
+}
+
+/**
+ * Runs one command. `fetchImpl` and `log` are injectable for tests.
+ * Resolves with the process exit code.
+ */
+async function run(args, {
+  site = process.env.DF_SITE || 'http://localhost:8888',
+  token = process.env.REPORTS_TOKEN,
+  blocklist = path.resolve(__dirname, '..', 'blocklist.json'),   // where the generator reads it
+  fetchImpl = fetch,
+  log = console.log,
+} = {}) {
+  const [cmd = 'list', ...rest] = args;
+  if (!['list', 'confirm', 'dismiss'].includes(cmd)) { log(USAGE); return 2; }
+  if (!token) { log('REPORTS_TOKEN is not set'); return 2; }
+
+  const api = async (method, query = '', body) => {
+    const res = await fetchImpl(`${site.replace(/\/$/, '')}/api/reports${query}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const out = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(out.error || `HTTP ${res.status}`);
+    return out;
+  };
+
+  if (cmd === 'list') {
+    const i = rest.indexOf('--status');
+    const status = i >= 0 ? rest[i + 1] : 'open';
+    const { reports } = await api('GET', `?status=${encodeURIComponent(status || '')}`);
+    if (!reports.length) log(`No ${status === 'all' ? '' : status + ' '}reports.`);
+    reports.forEach(r => log(formatReport(r) + '\n'));
+    return 0;
+  }
+
+  const [day, key] = rest;
+  if (!/^\d{8}$/.test(day || '') || !/^[0-9a-f]{8}$/.test(key || '')) { log(USAGE); return 2; }
+  const { report } = await api('PATCH', '', { day, key, status: cmd === 'confirm' ? 'confirmed' : 'dismissed' });
+  log(formatReport(report));
+  if (cmd === 'confirm') {
+    const n = addToBlocklist(blocklist, report);
+    log(`\nAdded to ${path.relative(process.cwd(), blocklist)} (${n} blocked) — commit it so the generator skips this question.`);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => process.exit(code), e => {
+    console.error(`reports: ${e.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { run, addToBlocklist, formatReport };
@@ -0,0 +1,651 @@
+/* Daily Five — UI strings per locale, read through DailyCore.translator().
+   Loaded as a plain <script> (exposes window.DailyStrings) or via require().
+   Keys are flat; {name} marks a placeholder and key.one / key.other are the
+   plural forms picked by the `n` variable. en is the fallback for any key a
+   locale is missing. */
+(function(root,factory){
+  if(typeof module==='object'&&module.exports) module.exports=factory();
+  else root.DailyStrings=factory();
+})(typeof self!=='undefined'?self:this,function(){
+'use strict';
+
+const en={
+  'title':'Daily Five — 5 questions. 12 seconds each.',
+  'banner.backup':'Offline mode — using backup questions',
+  'banner.saved':'Offline — playing the last set we saved',
+  'update.ready':'A new version of Daily Five is ready',
+  'update.refresh':'Refresh',
+  'push.toggle':'Streak reminders',
+
+  'home.tagline':'5 questions · 12 seconds each · every day',
+  'home.streak':'Current Streak',
+  'home.days.one':' day',
+  'home.days.other':' days',
+  'home.best':'Best',
+  'home.week':'This Week',
+  'home.questions':'Questions',
+  'home.perQ':'Per Q',
+  'home.played':'Played',
+  'home.badges':'Badges',
+  'home.options':'Options',
+  'home.play':"Play Today's Five →",
+  'home.playRelaxed':"Play Today's Five · Relaxed →",
+  'home.resume':"Resume Today's Five →",
+  'home.results':"See Today's Results →",
+  'home.archive':'🗓️ Play past days',
+  'home.stats':'📊 Your stats',
+  'home.sync':'🔄 Sync & backup',
+  'home.leagues':'👥 Friends leagues',
+  'home.rights':'Daily Five · All rights reserved',
+  'opt.relaxed':'Relaxed mode',
+  'opt.relaxedHint':'No timer. Scored and streaked separately.',
+  'opt.calm':'Reduce motion',
+  'opt.calmHint':'No confetti, shaking or sliding.',
+  'opt.lang':'Language',
+  'opt.langHint':'Each language has its own questions and streak.',
+
+  'game.timeLeft':'Time left',
+  'game.counter':'Question {n} of 5',
+  'game.pts':'{n} pts',
+  'game.answers':'Answers',
+  'game.keys':'Press A to D or 1 to 4 to answer.',
+  'game.noLimit':'No time limit',
+  'game.secs.one':'{n} second',
+  'game.secs.other':'{n} seconds',
+  'game.secsLeft.one':'{n} second left',
+  'game.secsLeft.other':'{n} seconds left',
+  'game.correct':'✓ Correct',
+  'game.yours':'✗ Your answer',
+  'game.picked':'Your answer',
+  'game.answer':'✓ Answer',
+  'say.question':'Question {n} of 5. {text}',
+  'say.right':'Correct! Plus {pts} points.',
+  'say.wrong':'Wrong. The answer was {answer}.',
+  'say.timeUp':"Time's up. The answer was {answer}.",
+  'say.timeUpShort':"Time's up.",
+  'say.unchecked':"Couldn't check that answer yet — it's scored once you're back online.",
+
+  'res.0.title':'Better luck tomorrow!',
+  'res.0.sub':"Don't give up — come back tomorrow!",
+  'res.1.title':'Not quite there yet',
+  'res.1.sub':"A little more and you've got it!",
+  'res.2.title':'Decent effort!',
+  'res.2.sub':'More than halfway — nice work.',
+  'res.3.title':'Great job!',
+  'res.3.sub':'You clearly know your stuff.',
+  'res.4.title':'Almost perfect!',
+  'res.4.sub':'So close to a clean sweep!',
+  'res.5.title':'Perfect score!',
+  'res.5.sub':'You crushed it. See you tomorrow!',
+  'res.archive':'Archive · Daily Five #{n}',
+  'res.relaxed':'Relaxed mode · {sub}',
+  'res.practice':"Practice round — it doesn't count. Today's set is waiting once you're back online.",
+  'res.outOf':'out of 5',
+  'res.next':'Next quiz in',
+  'res.streak':'Streak',
+  'res.bestEver':'Best Ever',
+  'res.days.one':'{n} day',
+  'res.days.other':'{n} days',
+  'res.ranking':"Today's Ranking",
+  'res.pending':'You scored better than <span>—</span> of players today',
+  'res.beat.one':'You scored better than <span>{pct}%</span> of {n} other player today',
+  'res.beat.other':'You scored better than <span>{pct}%</span> of {n} other players today',
+  'res.first':"You're the first to finish today!",
+  'res.unverified':"This game couldn't be verified, so it isn't counted in today's ranking or your leagues.",
+  'res.gotRight':'{pct}% of players got this right',
+  'res.good':'Correct',
+  'res.bad':'Wrong',
+  'res.skip':'Timed out',
+  'res.open':'Not checked yet',
+  'res.open.title':'Waiting to check',
+  'res.open.sub':"Some answers couldn't be checked. They're scored once you're back online, and your streak moves on then.",
+  'res.feedback':'Send feedback',
+  'res.home':'← Home',
+  'res.share':'Share 🟩',
+  'res.copied':'Copied! ✓',
+  'res.copy':'Copy:',
+  'share.archive':'(archive)',
+  'share.relaxed':'(relaxed)',
+  'badge.unlocked':'Badge unlocked',
+
+  'report.open':'Report a problem with question {n}',
+  'report.done':'Question {n} reported',
+  'report.ask':"What's wrong with it?",
+  'report.thanks':"Thanks — we'll take a look at this one.",
+  'report.failed':"Couldn't send the report — try again in a moment.",
+  'report.wrong':'Wrong answer',
+  'report.ambiguous':'Ambiguous',
+  'report.offensive':'Offensive',
+  'report.typo':'Typo',
+
+  'arc.title':'Archive',
+  'arc.sub':"Replay any past Daily Five. Archive games don't affect your streak.",
+  'arc.empty':'No past days to play yet — check back tomorrow!',
+  'arc.failed':"Couldn't load day #{n} — try again.",
+
+  'st.title':'Your Stats',
+  'st.played':'Played',
+  'st.avg':'Avg Correct',
+  'st.time':'Avg Answer',
+  'st.dist':'Score distribution',
+  'st.prev':'Previous month',
+  'st.next':'Next month',
+  'st.diff':'Accuracy by difficulty',
+  'st.cat':'Accuracy by category',
+  'st.empty':'Play a game to see this.',
+  'st.lastN.one':'Breakdowns cover your last {n} game.',
+  'st.lastN.other':'Breakdowns cover your last {n} games.',
+  'st.all':"Every game you've played, at a glance.",
+  'diff.easy':'Easy',
+  'diff.medium':'Medium',
+  'diff.hard':'Hard',
+
+  'sync.title':'Sync & Backup',
+  'sync.sub':'Keep your streak when you switch phones or clear your browser.',
+  'sync.code':'Your sync code',
+  'sync.qr':'QR code that opens Daily Five with your sync code',
+  'sync.note':'Enter this code or scan the QR code on your other device. Anyone with the code can see your stats.',
+  'sync.now':'Sync now',
+  'sync.off':'Stop syncing',
+  'sync.setup':'Sync between devices',
+  'sync.new':'Create a sync code',
+  'sync.input':'Sync code from your other device',
+  'sync.link':'Link',
+  'sync.backup':'Backup file',
+  'sync.export':'⬇️ Export',
+  'sync.import':'⬆️ Import',
+  'sync.notFound':"That code wasn't found — check it and try again",
+  'sync.unreachable':"Couldn't reach the sync service",
+  'sync.on':'Sync is on — enter the code on your other device.',
+  'sync.enter':'Enter the code from your other device',
+  'sync.linked':'Linked! Stats from both devices are merged.',
+  'sync.done':'Synced ✓',
+  'sync.stopped':'Sync is off on this device. Your stats stay here.',
+  'sync.badJson':"That file isn't valid JSON",
+  'sync.imported.one':'Imported ✓ — {n} day played, best streak {best}',
+  'sync.imported.other':'Imported ✓ — {n} days played, best streak {best}',
+  'sync.already':'This device already syncs with {cur} — stop syncing first to link {code}.',
+
+  'lg.title':'Friends Leagues',
+  'lg.sub':'Play the same five as your friends or office and keep score together.',
+  'lg.player':'Your name in leagues',
+  'lg.playerInput':'Your name',
+  'lg.mine':'Your leagues',
+  'lg.none':"You're not in a league yet.",
+  'lg.create':'Start a league',
+  'lg.nameInput':'League name',
+  'lg.createBtn':'Create',
+  'lg.join':'Join a league',
+  'lg.codeInput':'Invite code',
+  'lg.joinBtn':'Join',
+  'lg.invite':'Invite',
+  'lg.leave':'Leave',
+  'lg.today':'Today',
+  'lg.all':'All time',
+  'lg.nobody':'Nobody in this league has played today yet.',
+  'lg.pts':'{n} pts',
+  'lg.games.one':'{n} game',
+  'lg.games.other':'{n} games',
+  'lg.relaxed':"Relaxed games don't count in leagues.",
+  'lg.needName':'Enter your name first',
+  'lg.needLeague':'Give your league a name',
+  'lg.needCode':'Enter an invite code',
+  'lg.created':'League created — invite your friends!',
+  'lg.joined':'You joined {name} 🎉',
+  'lg.left':'You left {name}.',
+  'lg.confirmLeave':'Leave {name}? Your scores in it will be lost.',
+  'lg.invited':"You've been invited to a league — enter your name and join.",
+  'lg.inviteText':'Join my Daily Five league "{name}": {url}',
+  'lg.copied':'Invite link copied ✓',
+  'lg.notFound':"That league wasn't found — check the code",
+  'lg.full':'That league is full',
+  'lg.unreachable':"Couldn't reach the leagues service",
+
+  'push.live.title':'Daily Five #{n} is live',
+  'push.live.theme':"Today's theme: {theme}",
+  'push.live.body':'Five fresh questions are waiting for you.',
+  'push.reminder.title':'Your {n}-day streak ends at midnight ET',
+  'push.reminder.body':"Play today's Daily Five to keep it going 🔥",
+
+  'cat.General Knowledge':'General Knowledge',
+  'cat.Film':'Film',
+  'cat.Music':'Music',
+  'cat.Television':'Television',
+  'cat.Books':'Books',
+  'cat.Science & Nature':'Science & Nature',
+  'cat.Geography':'Geography',
+  'cat.Sports':'Sports',
+  'cat.Celebrities':'Celebrities',
+  'cat.Society & Culture':'Society & Culture',
+  'cat.Food & Drink':'Food & Drink',
+  'cat.Arts & Literature':'Arts & Literature',
+};
+
+const es={
+  'title':'Daily Five — 5 preguntas. 12 segundos cada una.',
+  'banner.backup':'Sin conexión — usando preguntas de reserva',
+  'banner.saved':'Sin conexión — jugando la última partida guardada',
+  'update.ready':'Hay una nueva versión de Daily Five',
+  'update.refresh':'Actualizar',
+  'push.toggle':'Recordatorios de racha',
+
+  'home.tagline':'5 preguntas · 12 segundos cada una · cada día',
+  'home.streak':'Racha actual',
+  'home.days.one':' día',
+  'home.days.other':' días',
+  'home.best':'Mejor',
+  'home.week':'Esta semana',
+  'home.questions':'Preguntas',
+  'home.perQ':'Por preg.',
+  'home.played':'Jugadas',
+  'home.badges':'Insignias',
+  'home.options':'Opciones',
+  'home.play':'Jugar el Five de hoy →',
+  'home.playRelaxed':'Jugar el Five de hoy · Relajado →',
+  'home.resume':'Seguir con el Five de hoy →',
+  'home.results':'Ver los resultados de hoy →',
+  'home.archive':'🗓️ Jugar días anteriores',
+  'home.stats':'📊 Tus estadísticas',
+  'home.sync':'🔄 Sincronizar y copia',
+  'home.leagues':'👥 Ligas de amigos',
+  'home.rights':'Daily Five · Todos los derechos reservados',
+  'opt.relaxed':'Modo relajado',
+  'opt.relaxedHint':'Sin reloj. Puntuación y racha aparte.',
+  'opt.calm':'Reducir movimiento',
+  'opt.calmHint':'Sin confeti, sacudidas ni deslizamientos.',
+  'opt.lang':'Idioma',
+  'opt.langHint':'Cada idioma tiene sus propias preguntas y su racha.',
+
+  'game.timeLeft':'Tiempo restante',
+  'game.counter':'Pregunta {n} de 5',
+  'game.pts':'{n} pts',
+  'game.answers':'Respuestas',
+  'game.keys':'Pulsa de la A a la D o del 1 al 4 para responder.',
+  'game.noLimit':'Sin límite de tiempo',
+  'game.secs.one':'{n} segundo',
+  'game.secs.other':'{n} segundos',
+  'game.secsLeft.one':'Queda {n} segundo',
+  'game.secsLeft.other':'Quedan {n} segundos',
+  'game.correct':'✓ Correcta',
+  'game.yours':'✗ Tu respuesta',
+  'game.picked':'Tu respuesta',
+  'game.answer':'✓ Respuesta',
+  'say.question':'Pregunta {n} de 5. {text}',
+  'say.right':'¡Correcto! {pts} puntos más.',
+  'say.wrong':'Incorrecto. La respuesta era {answer}.',
+  'say.timeUp':'Se acabó el tiempo. La respuesta era {answer}.',
+  'say.timeUpShort':'Se acabó el tiempo.',
+  'say.unchecked':'Aún no se pudo comprobar la respuesta: se puntúa cuando vuelvas a tener conexión.',
+
+  'res.0.title':'¡Mañana te irá mejor!',
+  'res.0.sub':'No te rindas — ¡vuelve mañana!',
+  'res.1.title':'Todavía no',
+  'res.1.sub':'¡Un poco más y lo consigues!',
+  'res.2.title':'¡Buen intento!',
+  'res.2.sub':'Más de la mitad — bien hecho.',
+  'res.3.title':'¡Muy bien!',
+  'res.3.sub':'Se nota que sabes de esto.',
+  'res.4.title':'¡Casi perfecto!',
+  'res.4.sub':'¡A un paso del pleno!',
+  'res.5.title':'¡Puntuación perfecta!',
+  'res.5.sub':'Lo has bordado. ¡Hasta mañana!',
+  'res.archive':'Archivo · Daily Five #{n}',
+  'res.relaxed':'Modo relajado · {sub}',
+  'res.practice':'Ronda de práctica — no cuenta. La partida de hoy te espera cuando vuelvas a tener conexión.',
+  'res.outOf':'de 5',
+  'res.next':'Próximo quiz en',
+  'res.streak':'Racha',
+  'res.bestEver':'Mejor marca',
+  'res.days.one':'{n} día',
+  'res.days.other':'{n} días',
+  'res.ranking':'Clasificación de hoy',
+  'res.pending':'Has superado al <span>—</span> de los jugadores de hoy',
+  'res.beat.one':'Has superado al <span>{pct}%</span> de {n} jugador más hoy',
+  'res.beat.other':'Has superado al <span>{pct}%</span> de otros {n} jugadores hoy',
+  'res.first':'¡Eres el primero en terminar hoy!',
+  'res.unverified':'No hemos podido verificar esta partida, así que no cuenta en la clasificación de hoy ni en tus ligas.',
+  'res.gotRight':'El {pct}% de los jugadores la acertó',
+  'res.good':'Correcta',
+  'res.bad':'Incorrecta',
+  'res.skip':'Sin tiempo',
+  'res.open':'Sin comprobar',
+  'res.open.title':'Pendiente de comprobar',
+  'res.open.sub':'Algunas respuestas no se pudieron comprobar. Se puntúan cuando vuelvas a tener conexión, y tu racha avanza entonces.',
+  'res.feedback':'Enviar comentarios',
+  'res.home':'← Inicio',
+  'res.share':'Compartir 🟩',
+  'res.copied':'¡Copiado! ✓',
+  'res.copy':'Copiar:',
+  'share.archive':'(archivo)',
+  'share.relaxed':'(relajado)',
+  'badge.unlocked':'Insignia desbloqueada',
+
+  'report.open':'Informar de un problema con la pregunta {n}',
+  'report.done':'Pregunta {n} informada',
+  'report.ask':'¿Qué le pasa?',
+  'report.thanks':'Gracias — la revisaremos.',
+  'report.failed':'No se pudo enviar el aviso — inténtalo de nuevo en un momento.',
+  'report.wrong':'Respuesta incorrecta',
+  'report.ambiguous':'Ambigua',
+  'report.offensive':'Ofensiva',
+  'report.typo':'Errata',
+
+  'arc.title':'Archivo',
+  'arc.sub':'Vuelve a jugar cualquier Daily Five anterior. Las partidas del archivo no cuentan para tu racha.',
+  'arc.empty':'Todavía no hay días anteriores — ¡vuelve mañana!',
+  'arc.failed':'No se pudo cargar el día #{n} — inténtalo de nuevo.',
+
+  'st.title':'Tus estadísticas',
+  'st.played':'Jugadas',
+  'st.avg':'Aciertos medios',
+  'st.time':'Tiempo medio',
+  'st.dist':'Distribución de puntuaciones',
+  'st.prev':'Mes anterior',
+  'st.next':'Mes siguiente',
+  'st.diff':'Aciertos por dificultad',
+  'st.cat':'Aciertos por categoría',
+  'st.empty':'Juega una partida para ver esto.',
+  'st.lastN.one':'Los desgloses cubren tu última partida.',
+  'st.lastN.other':'Los desgloses cubren tus últimas {n} partidas.',
+  'st.all':'Todas tus partidas, de un vistazo.',
+  'diff.easy':'Fácil',
+  'diff.medium':'Media',
+  'diff.hard':'Difícil',
+
+  'sync.title':'Sincronizar y copia',
+  'sync.sub':'Conserva tu racha al cambiar de móvil o borrar el navegador.',
+  'sync.code':'Tu código de sincronización',
+  'sync.qr':'Código QR que abre Daily Five con tu código de sincronización',
+  'sync.note':'Introduce este código o escanea el QR en tu otro dispositivo. Quien tenga el código puede ver tus estadísticas.',
+  'sync.now':'Sincronizar ahora',
+  'sync.off':'Dejar de sincronizar',
+  'sync.setup':'Sincronizar entre dispositivos',
+  'sync.new':'Crear un código',
+  'sync.input':'Código de tu otro dispositivo',
+  'sync.link':'Vincular',
+  'sync.backup':'Archivo de copia',
+  'sync.export':'⬇️ Exportar',
+  'sync.import':'⬆️ Importar',
+  'sync.notFound':'No encontramos ese código — revísalo e inténtalo de nuevo',
+  'sync.unreachable':'No se pudo conectar con el servicio de sincronización',
+  'sync.on':'Sincronización activada — introduce el código en tu otro dispositivo.',
+  'sync.enter':'Introduce el código de tu otro dispositivo',
+  'sync.linked':'¡Vinculado! Se han combinado las estadísticas de ambos dispositivos.',
+  'sync.done':'Sincronizado ✓',
+  'sync.stopped':'La sincronización está desactivada en este dispositivo. Tus estadísticas se quedan aquí.',
+  'sync.badJson':'Ese archivo no es un JSON válido',
+  'sync.imported.one':'Importado ✓ — {n} día jugado, mejor racha {best}',
+  'sync.imported.other':'Importado ✓ — {n} días jugados, mejor racha {best}',
+  'sync.already':'Este dispositivo ya se sincroniza con {cur} — deja de sincronizar antes de vincular {code}.',
+
+  'lg.title':'Ligas de amigos',
+  'lg.sub':'Juega las mismas cinco que tus amigos o tu oficina y llevad la cuenta juntos.',
+  'lg.player':'Tu nombre en las ligas',
+  'lg.playerInput':'Tu nombre',
+  'lg.mine':'Tus ligas',
+  'lg.none':'Todavía no estás en ninguna liga.',
+  'lg.create':'Crear una liga',
+  'lg.nameInput':'Nombre de la liga',
+  'lg.createBtn':'Crear',
+  'lg.join':'Unirse a una liga',
+  'lg.codeInput':'Código de invitación',
+  'lg.joinBtn':'Unirse',
+  'lg.invite':'Invitar',
+  'lg.leave':'Salir',
+  'lg.today':'Hoy',
+  'lg.all':'Histórico',
+  'lg.nobody':'Nadie de esta liga ha jugado todavía hoy.',
+  'lg.pts':'{n} pts',
+  'lg.games.one':'{n} partida',
+  'lg.games.other':'{n} partidas',
+  'lg.relaxed':'Las partidas en modo relajado no cuentan en las ligas.',
+  'lg.needName':'Primero escribe tu nombre',
+  'lg.needLeague':'Ponle un nombre a tu liga',
+  'lg.needCode':'Introduce un código de invitación',
+  'lg.created':'Liga creada — ¡invita a tus amigos!',
+  'lg.joined':'Te has unido a {name} 🎉',
+  'lg.left':'Has salido de {name}.',
+  'lg.confirmLeave':'¿Salir de {name}? Perderás tus puntos en ella.',
+  'lg.invited':'Te han invitado a una liga — escribe tu nombre y únete.',
+  'lg.inviteText':'Únete a mi liga de Daily Five "{name}": {url}',
+  'lg.copied':'Enlace de invitación copiado ✓',
+  'lg.notFound':'No encontramos esa liga — revisa el código',
+  'lg.full':'Esa liga está completa',
+  'lg.unreachable':'No se pudo conectar con el servicio de ligas',
+
+  'push.live.title':'Ya está aquí Daily Five #{n}',
+  'push.live.theme':'Tema de hoy: {theme}',
+  'push.live.body':'Te esperan cinco preguntas nuevas.',
+  'push.reminder.title.one':'Tu racha de {n} día acaba a medianoche (hora del este de EE. UU.)',
+  'push.reminder.title.other':'Tu racha de {n} días acaba a medianoche (hora del este de EE. UU.)',
+  'push.reminder.body':'Juega el Daily Five de hoy para mantenerla 🔥',
+
+  'cat.General Knowledge':'Cultura general',
+  'cat.Film':'Cine',
+  'cat.Music':'Música',
+  'cat.Television':'Televisión',
+  'cat.Books':'Libros',
+  'cat.Science & Nature':'Ciencia y naturaleza',
+  'cat.Geography':'Geografía',
+  'cat.Sports':'Deportes',
+  'cat.Celebrities':'Famosos',
+  'cat.Society & Culture':'Sociedad y cultura',
+  'cat.Food & Drink':'Comida y bebida',
+  'cat.Arts & Literature':'Arte y literatura',
+};
+
+const fr={
+  'title':'Daily Five — 5 questions. 12 secondes chacune.',
+  'banner.backup':'Hors ligne — questions de secours',
+  'banner.saved':'Hors ligne — dernière série enregistrée',
+  'update.ready':'Une nouvelle version de Daily Five est prête',
+  'update.refresh':'Actualiser',
+  'push.toggle':'Rappels de série',
+
+  'home.tagline':'5 questions · 12 secondes chacune · chaque jour',
+  'home.streak':'Série en cours',
+  'home.days.one':' jour',
+  'home.days.other':' jours',
+  'home.best':'Record',
+  'home.week':'Cette semaine',
+  'home.questions':'Questions',
+  'home.perQ':'Par Q',
+  'home.played':'Parties',
+  'home.badges':'Badges',
+  'home.options':'Options',
+  'home.play':'Jouer au Five du jour →',
+  'home.playRelaxed':'Jouer au Five du jour · Détente →',
+  'home.resume':'Reprendre le Five du jour →',
+  'home.results':'Voir les résultats du jour →',
+  'home.archive':'🗓️ Jouer les jours passés',
+  'home.stats':'📊 Vos statistiques',
+  'home.sync':'🔄 Synchro et sauvegarde',
+  'home.leagues':'👥 Ligues entre amis',
+  'home.rights':'Daily Five · Tous droits réservés',
+  'opt.relaxed':'Mode détente',
+  'opt.relaxedHint':'Sans chrono. Score et série à part.',
+  'opt.calm':'Réduire les animations',
+  'opt.calmHint':'Ni confettis, ni secousses, ni glissements.',
+  'opt.lang':'Langue',
+  'opt.langHint':'Chaque langue a ses propres questions et sa série.',
+
+  'game.timeLeft':'Temps restant',
+  'game.counter':'Question {n} sur 5',
+  'game.pts':'{n} pts',
+  'game.answers':'Réponses',
+  'game.keys':'Appuyez sur A à D ou 1 à 4 pour répondre.',
+  'game.noLimit':'Pas de limite de temps',
+  'game.secs.one':'{n} seconde',
+  'game.secs.other':'{n} secondes',
+  'game.secsLeft.one':'Plus que {n} seconde',
+  'game.secsLeft.other':'Plus que {n} secondes',
+  'game.correct':'✓ Bonne réponse',
+  'game.yours':'✗ Votre réponse',
+  'game.picked':'Votre réponse',
+  'game.answer':'✓ Réponse',
+  'say.question':'Question {n} sur 5. {text}',
+  'say.right':'Bravo ! {pts} points de plus.',
+  'say.wrong':'Raté. La réponse était {answer}.',
+  'say.timeUp':'Temps écoulé. La réponse était {answer}.',
+  'say.timeUpShort':'Temps écoulé.',
+  'say.unchecked':'Impossible de vérifier cette réponse pour l’instant : elle sera comptée dès votre retour en ligne.',
+
+  'res.0.title':'Ce sera mieux demain !',
+  'res.0.sub':'Ne lâchez rien — revenez demain !',
+  'res.1.title':'Pas encore tout à fait',
+  'res.1.sub':'Encore un petit effort !',
+  'res.2.title':'Pas mal !',
+  'res.2.sub':'Plus de la moitié — bien joué.',
+  'res.3.title':'Très bien !',
+  'res.3.sub':'Vous connaissez votre sujet.',
+  'res.4.title':'Presque parfait !',
+  'res.4.sub':'Le sans-faute était tout proche !',
+  'res.5.title':'Score parfait !',
+  'res.5.sub':'Impressionnant. À demain !',
+  'res.archive':'Archives · Daily Five #{n}',
+  'res.relaxed':'Mode détente · {sub}',
+  'res.practice':'Partie d’entraînement — elle ne compte pas. La partie du jour vous attend dès que vous serez de retour en ligne.',
+  'res.outOf':'sur 5',
+  'res.next':'Prochain quiz dans',
+  'res.streak':'Série',
+  'res.bestEver':'Record',
+  'res.days.one':'{n} jour',
+  'res.days.other':'{n} jours',
+  'res.ranking':'Classement du jour',
+  'res.pending':'Vous avez fait mieux que <span>—</span> des joueurs aujourd’hui',
+  'res.beat.one':'Vous avez fait mieux que <span>{pct} %</span> de {n} autre joueur aujourd’hui',
+  'res.beat.other':'Vous avez fait mieux que <span>{pct} %</span> des {n} autres joueurs aujourd’hui',
+  'res.first':'Vous êtes le premier à finir aujourd’hui !',
+  'res.unverified':'Cette partie n’a pas pu être vérifiée : elle ne compte ni dans le classement du jour ni dans vos ligues.',
+  'res.gotRight':'{pct} % des joueurs ont trouvé',
+  'res.good':'Bonne réponse',
+  'res.bad':'Mauvaise réponse',
+  'res.skip':'Temps écoulé',
+  'res.open':'Pas encore vérifiée',
+  'res.open.title':'En attente de vérification',
+  'res.open.sub':'Certaines réponses n’ont pas pu être vérifiées. Elles seront comptées dès votre retour en ligne, et votre série avancera alors.',
+  'res.feedback':'Envoyer un avis',
+  'res.home':'← Accueil',
+  'res.share':'Partager 🟩',
+  'res.copied':'Copié ! ✓',
+  'res.copy':'Copier :',
+  'share.archive':'(archives)',
+  'share.relaxed':'(détente)',
+  'badge.unlocked':'Badge débloqué',
+
+  'report.open':'Signaler un problème avec la question {n}',
+  'report.done':'Question {n} signalée',
+  'report.ask':'Quel est le problème ?',
+  'report.thanks':'Merci — nous allons la vérifier.',
+  'report.failed':'Impossible d’envoyer le signalement — réessayez dans un instant.',
+  'report.wrong':'Mauvaise réponse',
+  'report.ambiguous':'Ambiguë',
+  'report.offensive':'Choquante',
+  'report.typo':'Coquille',
+
+  'arc.title':'Archives',
+  'arc.sub':'Rejouez n’importe quel Daily Five passé. Les parties d’archives ne comptent pas pour votre série.',
+  'arc.empty':'Pas encore de jours passés — revenez demain !',
+  'arc.failed':'Impossible de charger le jour #{n} — réessayez.',
+
+  'st.title':'Vos statistiques',
+  'st.played':'Parties',
+  'st.avg':'Bonnes rép. moy.',
+  'st.time':'Temps moyen',
+  'st.dist':'Répartition des scores',
+  'st.prev':'Mois précédent',
+  'st.next':'Mois suivant',
+  'st.diff':'Réussite par difficulté',
+  'st.cat':'Réussite par catégorie',
+  'st.empty':'Jouez une partie pour voir ceci.',
+  'st.lastN.one':'Les détails portent sur votre dernière partie.',
+  'st.lastN.other':'Les détails portent sur vos {n} dernières parties.',
+  'st.all':'Toutes vos parties, en un coup d’œil.',
+  'diff.easy':'Facile',
+  'diff.medium':'Moyen',
+  'diff.hard':'Difficile',
+
+  'sync.title':'Synchro et sauvegarde',
+  'sync.sub':'Gardez votre série en changeant de téléphone ou en vidant votre navigateur.',
+  'sync.code':'Votre code de synchro',
+  'sync.qr':'QR code qui ouvre Daily Five avec votre code de synchro',
+  'sync.note':'Saisissez ce code ou scannez le QR code sur votre autre appareil. Toute personne ayant le code peut voir vos statistiques.',
+  'sync.now':'Synchroniser',
+  'sync.off':'Arrêter la synchro',
+  'sync.setup':'Synchroniser vos appareils',
+  'sync.new':'Créer un code de synchro',
+  'sync.input':'Code de votre autre appareil',
+  'sync.link':'Lier',
+  'sync.backup':'Fichier de sauvegarde',
+  'sync.export':'⬇️ Exporter',
+  'sync.import':'⬆️ Importer',
+  'sync.notFound':'Code introuvable — vérifiez-le et réessayez',
+  'sync.unreachable':'Impossible de joindre le service de synchro',
+  'sync.on':'Synchro activée — saisissez le code sur votre autre appareil.',
+  'sync.enter':'Saisissez le code de votre autre appareil',
+  'sync.linked':'Lié ! Les statistiques des deux appareils sont fusionnées.',
+  'sync.done':'Synchronisé ✓',
+  'sync.stopped':'La synchro est désactivée sur cet appareil. Vos statistiques restent ici.',
+  'sync.badJson':'Ce fichier n’est pas un JSON valide',
+  'sync.imported.one':'Importé ✓ — {n} jour joué, meilleure série {best}',
+  'sync.imported.other':'Importé ✓ — {n} jours joués, meilleure série {best}',
+  'sync.already':'Cet appareil est déjà synchronisé avec {cur} — arrêtez la synchro avant de lier {code}.',
+
+  'lg.title':'Ligues entre amis',
+  'lg.sub':'Jouez les mêmes cinq questions que vos amis ou vos collègues et comptez les points ensemble.',
+  'lg.player':'Votre nom dans les ligues',
+  'lg.playerInput':'Votre nom',
+  'lg.mine':'Vos ligues',
+  'lg.none':'Vous n’êtes dans aucune ligue pour l’instant.',
+  'lg.create':'Créer une ligue',
+  'lg.nameInput':'Nom de la ligue',
+  'lg.createBtn':'Créer',
+  'lg.join':'Rejoindre une ligue',
+  'lg.codeInput':'Code d’invitation',
+  'lg.joinBtn':'Rejoindre',
+  'lg.invite':'Inviter',
+  'lg.leave':'Quitter',
+  'lg.today':'Aujourd’hui',
+  'lg.all':'Depuis le début',
+  'lg.nobody':'Personne dans cette ligue n’a encore joué aujourd’hui.',
+  'lg.pts':'{n} pts',
+  'lg.games.one':'{n} partie',
+  'lg.games.other':'{n} parties',
+  'lg.relaxed':'Les parties en mode détente ne comptent pas dans les ligues.',
+  'lg.needName':'Saisissez d’abord votre nom',
+  'lg.needLeague':'Donnez un nom à votre ligue',
+  'lg.needCode':'Saisissez un code d’invitation',
+  'lg.created':'Ligue créée — invitez vos amis !',
+  'lg.joined':'Vous avez rejoint {name} 🎉',
+  'lg.left':'Vous avez quitté {name}.',
+  'lg.confirmLeave':'Quitter {name} ? Vos points dans cette ligue seront perdus.',
+  'lg.invited':'Vous êtes invité à une ligue — saisissez votre nom et rejoignez-la.',
+  'lg.inviteText':'Rejoignez ma ligue Daily Five « {name} » : {url}',
+  'lg.copied':'Lien d’invitation copié ✓',
+  'lg.notFound':'Ligue introuvable — vérifiez le code',
+  'lg.full':'Cette ligue est complète',
+  'lg.unreachable':'Impossible de joindre le service des ligues',
+
+  'push.live.title':'Daily Five #{n} est en ligne',
+  'push.live.theme':'Thème du jour : {theme}',
+  'push.live.body':'Cinq nouvelles questions vous attendent.',
+  'push.reminder.title.one':'Votre série de {n} jour se termine à minuit (heure de New York)',
+  'push.reminder.title.other':'Votre série de {n} jours se termine à minuit (heure de New York)',
+  'push.reminder.body':'Jouez au Daily Five du jour pour la prolonger 🔥',
+
+  'cat.General Knowledge':'Culture générale',
+  'cat.Film':'Cinéma',
+  'cat.Music':'Musique',
+  'cat.Television':'Télévision',
+  'cat.Books':'Livres',
+  'cat.Science & Nature':'Sciences et nature',
+  'cat.Geography':'Géographie',
+  'cat.Sports':'Sport',
+  'cat.Celebrities':'Célébrités',
+  'cat.Society & Culture':'Société et culture',
+  'cat.Food & Drink':'Cuisine et boissons',
+  'cat.Arts & Literature':'Arts et littérature',
+};
+
+return{en,es,fr};
+});
@@ -1,72 +1,154 @@
 // Daily Five — Service Worker
-// Caches the app shell so it works offline
+// Offline-first: the shell is served from cache and refreshed in the background,
+// puzzle data comes from the network with the last good copy as an offline fallback.
+//
+// Bump VERSION with every shell change: the new worker installs alongside the
+// old one and the page offers an "update available" refresh (see index.html).
 
-const CACHE_NAME = 'dailyfive-v1';
+importScripts('/daily-core.js');
+const { LOCALES, localeFile } = self.DailyCore;
 
-const ASSETS_TO_CACHE = [
+const VERSION     = 'v20';
+const SHELL_CACHE = `dailyfive-shell-${VERSION}`;
+const DATA_CACHE  = 'dailyfive-data';   // kept across versions so today's set survives an update
+const FONT_CACHE  = 'dailyfive-fonts';
+
+const SHELL_ASSETS = [
   '/',
   '/index.html',
-  '/manifest.json',
-  '/icon-192.png',
-  '/icon-512.png',
-  'https://fonts.googleapis.com/css2?family=Nunito:wght@400;600;700;800;900&family=Nunito+Sans:wght@400;600;700&display=swap',
+  '/daily-core.js',
+  '/strings.js',
+  '/site.webmanifest',
+  '/favicon.ico',
+  '/apple-icon-72x72.png',
+  '/apple-icon-180x180.png',
+  '/apple-icon-192x192.png',
+  '/apple-icon-512x512.png',
 ];
+// Every locale's set (daily.json, daily.es.json…): the page plays whichever the player's language picks
+const DATA_PREFETCH = [...LOCALES.map(l => '/' + localeFile('daily.json', l)), '/achievements.json'];
+const FONT_CSS = 'https://fonts.googleapis.com/css2?family=Nunito:wght@400;600;700;800;900&family=Nunito+Sans:wght@400;600;700&display=swap';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
 
-// ── Install: cache all core assets ──────────────────────────
+// ── Install: precache the shell + today's sets ──────────────
 self.addEventListener('install', event => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then(cache => {
-      // Cache what we can, ignore failures (e.g. Google Fonts may be blocked)
-      return Promise.allSettled(
-        ASSETS_TO_CACHE.map(url => cache.add(url).catch(() => {}))
-      );
-    })
-  );
-  self.skipWaiting();
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_ASSETS);
+    // Best effort — fonts may be blocked, the set may not be published yet
+    const data = await caches.open(DATA_CACHE);
+    await Promise.allSettled(DATA_PREFETCH.map(url => data.add(new Request(url, { cache: 'no-store' }))));
+    await caches.open(FONT_CACHE).then(c => c.add(FONT_CSS)).catch(() => {});
+  })());
+  // No skipWaiting(): an update waits until the page asks for it (SKIP_WAITING).
 });
 
-// ── Activate: clean up old caches ───────────────────────────
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ── Activate: drop shells from older versions ───────────────
 self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, DATA_CACHE, FONT_CACHE];
   event.waitUntil(
-    caches.keys().then(keys =>
-      Promise.all(
-        keys
-          .filter(key => key !== CACHE_NAME)
-          .map(key => caches.delete(key))
-      )
-    )
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
   );
-  self.clients.claim();
 });
 
-// ── Fetch: cache-first for app shell, network-first for API ─
+// ── Fetch ───────────────────────────────────────────────────
 self.addEventListener('fetch', event => {
-  // Skip non-GET and chrome-extension requests
-  if (event.request.method !== 'GET') return;
-  if (event.request.url.startsWith('chrome-extension')) return;
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
 
-  event.respondWith(
-    caches.match(event.request).then(cached => {
-      if (cached) return cached;
+  if (url.origin !== self.location.origin) {
+    if (FONT_HOSTS.includes(url.hostname)) event.respondWith(staleWhileRevalidate(req, FONT_CACHE, req));
+    return;
+  }
+  if (url.pathname.startsWith('/api/') || url.pathname === '/sw.js') return;
+
+  // Puzzle data (daily.json, archive/*) — keyed without the ?v= cache-buster
+  if (url.pathname.endsWith('.json')) {
+    event.respondWith(networkFirst(req, url.pathname));
+    return;
+  }
+  if (req.mode === 'navigate') {
+    event.respondWith(staleWhileRevalidate(req, SHELL_CACHE, '/index.html'));
+    return;
+  }
+  event.respondWith(staleWhileRevalidate(req, SHELL_CACHE, url.pathname));
+});
 
-      return fetch(event.request)
-        .then(response => {
-          // Cache successful responses for app shell assets
-          if (response && response.status === 200 && response.type !== 'opaque') {
-            const responseClone = response.clone();
-            caches.open(CACHE_NAME).then(cache => {
-              cache.put(event.request, responseClone);
-            });
-          }
-          return response;
-        })
-        .catch(() => {
-          // If offline and no cache, return a friendly offline message
-          // for navigation requests
-          if (event.request.mode === 'navigate') {
-            return caches.match('/index.html');
-          }
-        });
+// Serve from cache when we can, and refresh the cached copy either way.
+async function staleWhileRevalidate(req, cacheName, key) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(key);
+  const fresh = fetch(req)
+    .then(res => {
+      if (res && (res.ok || res.type === 'opaque')) cache.put(key, res.clone());
+      return res;
     })
-  );
+    .catch(() => null);
+  if (cached) return cached;
+  return (await fresh) || Response.error();
+}
+
+// Always try the network; offline, fall back to the last copy we saw, flagged
+// with X-DF-Offline so the page can tell the player it's not live.
+async function networkFirst(req, key) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(key, res.clone());
+    return res;
+  } catch (e) {
+    const cached = await cache.match(key);
+    if (!cached) throw e;
+    const headers = new Headers(cached.headers);
+    headers.set('X-DF-Offline', '1');
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+  }
+}
+
+// ── Push: "new set is live" + streak reminders ──────────────
+// Payload: { kind, title, body, tag } from netlify/lib/push.mjs
+self.addEventListener('push', event => {
+  let msg = {};
+  try { msg = event.data ? event.data.json() : {}; } catch (e) {}
+  event.waitUntil(self.registration.showNotification(msg.title || 'Daily Five', {
+    body: msg.body || "Today's five questions are ready.",
+    tag: msg.tag,
+    icon: '/apple-icon-192x192.png',
+    badge: '/apple-icon-72x72.png',
+    data: { url: '/' },
+  }));
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const target = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+  event.waitUntil((async () => {
+    const open = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const tab = open.find(c => new URL(c.url).origin === self.location.origin);
+    if (tab) return tab.focus();
+    return self.clients.openWindow(target);
+  })());
+});
+
+// The browser rotated our subscription — register the new one, keeping the streak on file
+self.addEventListener('pushsubscriptionchange', event => {
+  event.waitUntil((async () => {
+    const previous = event.oldSubscription && event.oldSubscription.endpoint;
+    let sub = event.newSubscription;
+    if (!sub) {
+      const { publicKey } = await fetch('/api/push').then(r => r.json());
+      sub = await self.registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: publicKey });
+    }
+    await fetch('/api/push', {
+      method: 'POST', headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ subscription: sub.toJSON(), previous }),
+    });
+  })());
 });
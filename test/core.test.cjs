@@ -0,0 +1,424 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const core  = require('../daily-core.js');
+const { answerMac } = require('../netlify/lib/seal.cjs');
+const daily = require('../daily.json');
+const ACH   = require('../achievements.json').badges;
+
+const earned = s => core.unlockAchievements(ACH, s).badges;
+const fresh = () => ({ streak: 0, best: 0, played: 0, perfects: 0, lastDay: '', history: [], badges: [] });
+const at = (y, m, d, h = 12, min = 0) => new Date(y, m - 1, d, h, min);
+
+// ─── Day counter ─────────────────────────────────────────────────────────────
+test('dayNumber matches the generator dayIndex', () => {
+  assert.equal(core.dayNumber(new Date('2025-08-24T12:00:00Z')), 1);
+  assert.equal(core.dayNumber(new Date('2026-03-14T17:00:00Z')), daily.dayIndex);
+});
+
+test('etDay and dayNumber flip at ET midnight across DST', () => {
+  assert.equal(core.etDay(new Date('2026-03-08T04:59:59Z')), '20260307');
+  assert.equal(core.etDay(new Date('2026-03-08T05:00:00Z')), '20260308');
+  assert.equal(core.etDay(new Date('2026-11-01T03:59:59Z')), '20261031');
+  assert.equal(core.etDay(new Date('2026-11-01T04:00:00Z')), '20261101');
+  assert.equal(core.dayNumber(new Date('2026-11-02T05:00:00Z')) - core.dayNumber(new Date('2026-11-02T04:59:59Z')), 1);
+});
+
+// ─── Questions ───────────────────────────────────────────────────────────────
+test('shuffle is deterministic per seed and keeps every option', () => {
+  const opts = ['A', 'B', 'C', 'D'];
+  assert.deepEqual(core.shuffle(opts, 7), core.shuffle(opts, 7));
+  assert.deepEqual([...core.shuffle(opts, 7)].sort(), opts);
+});
+
+test('qKey matches the generator, so reports line up with used.json and the blocklist', () => {
+  const gen = require('../scripts/generate-daily.cjs');
+  for (const q of daily.questions) {
+    assert.equal(core.qKey(q.text, q.options[q.correct]), gen.qKey(q.text, q.options[q.correct]));
+  }
+  assert.equal(core.qKey('  What do BEES make? ', 'honey'), gen.qKey('What do bees make?', 'Honey'));
+});
+
+test('prepQs keeps the correct answer, category and the 2/2/1 order', () => {
+  const qs = core.prepQs(daily);
+  assert.equal(qs.length, 5);
+  assert.deepEqual(qs.map(q => q.difficulty), ['easy', 'easy', 'medium', 'medium', 'hard']);
+  qs.forEach((q, i) => {
+    const src = daily.questions.find(x => x.text === q.text);
+    assert.equal(q.options[core.answerIndex(q)], src.options[src.correct], `Q${i + 1}`);
+    assert.equal(q.category, src.category);
+  });
+  assert.deepEqual(core.prepQs(daily), qs, 'same day, same order');
+});
+
+test('a sealed question only opens with the key it was sealed with', () => {
+  const mac = answerMac('k1');
+  const q = core.sealQuestion({ text: 'What do bees make?', options: ['Milk', 'Honey', 'Wax', 'Silk'], correct: 1, category: 'Food & Drink' }, 'abc123', mac);
+  assert.deepEqual(Object.keys(q), ['text', 'options', 'category', 'salt', 'check']);
+  assert.equal(core.answerIndex(q), -1, 'nothing on the page says which one is right');
+  assert.deepEqual(core.unsealQuestion(q, mac), { text: q.text, options: q.options, category: q.category, correct: 1 });
+  assert.equal(core.unsealQuestion(q, answerMac('k2')).correct, -1, 'another key opens nothing');
+  assert.equal(core.unsealQuestion({ ...q, salt: 'other' }, mac).correct, -1, 'the salt is part of the check');
+  const plain = core.unsealQuestion({ text: 'x', options: ['a', 'b'], correct: 0 }, mac);
+  assert.equal(plain.correct, 0, 'unsealed questions pass through');
+});
+
+test('prepQs keeps a sealed set sealed, shuffling the options', () => {
+  const mac = answerMac('k1');
+  const qs = core.prepQs({ ...daily, questions: daily.questions.map((q, i) => core.sealQuestion(q, `s${i}`, mac)) });
+  assert.deepEqual(qs.map(q => q.options), core.prepQs(daily).map(q => q.options));
+  qs.forEach(q => assert.equal(core.answerIndex(q), -1));
+  assert.deepEqual(qs.map(q => core.unsealQuestion(q, mac).correct), core.prepQs(daily).map(core.answerIndex));
+});
+
+// ─── Scoring ─────────────────────────────────────────────────────────────────
+test('pointsFor gives 100 plus 5 per whole second left', () => {
+  assert.equal(core.pointsFor(0), 160);
+  assert.equal(core.pointsFor(999), 160);
+  assert.equal(core.pointsFor(1000), 155);
+  assert.equal(core.pointsFor(11999), 105);
+  assert.equal(core.pointsFor(core.QUESTION_MS), 100);
+  assert.equal(core.pointsFor(2500, true), 100, 'relaxed games have no time bonus');
+});
+
+test('replayLog scores an answer log against the questions', () => {
+  const qs = core.prepQs(daily);
+  const right = qs.map(core.answerIndex);
+  const log = [{ a: right[0], ms: 1500 }, { a: (right[1] + 1) % 4, ms: 3000 }, { a: -1, ms: 12000 }, { a: right[3], ms: 7200 }, { a: right[4], ms: 400 }];
+  assert.deepEqual(core.replayLog(qs, log), { correct: 3, score: 155 + 125 + 160, results: ['good', 'bad', 'skip', 'good', 'good'] });
+  assert.equal(core.replayLog(qs, log, true).score, 300, 'a relaxed game has no time bonus');
+});
+
+// ─── Day arithmetic ──────────────────────────────────────────────────────────
+test('addDays and weekday work on ET day strings', () => {
+  assert.equal(core.addDays('20260301', -1), '20260228');
+  assert.equal(core.addDays('20261231', 1), '20270101');
+  assert.equal(core.addDays('20261101', 1), '20261102');
+  assert.equal(core.weekday('20260314'), 6);
+});
+
+test('nextEtMidnight lands on ET midnight, including 23h and 25h days', () => {
+  const next = iso => core.nextEtMidnight(new Date(iso)).toISOString();
+  assert.equal(next('2026-03-07T12:00:00Z'), '2026-03-08T05:00:00.000Z');
+  assert.equal(next('2026-03-08T12:00:00Z'), '2026-03-09T04:00:00.000Z');
+  assert.equal(next('2026-10-31T12:00:00Z'), '2026-11-01T04:00:00.000Z');
+  assert.equal(next('2026-11-01T04:30:00Z'), '2026-11-02T05:00:00.000Z');
+  assert.equal(next('2026-03-15T03:59:59Z'), '2026-03-15T04:00:00.000Z', 'a West Coast evening counts down to ET midnight');
+});
+
+// ─── Streaks ─────────────────────────────────────────────────────────────────
+test('applyPlay starts a streak and unlocks First Play', () => {
+  const s = core.applyPlay(fresh(), 3, '20260314');
+  assert.equal(s.streak, 1);
+  assert.equal(s.played, 1);
+  assert.equal(s.lastDay, '20260314');
+  assert.deepEqual(s.history, [{ day: '20260314', correct: 3 }]);
+  assert.deepEqual(s.badges, [], 'applyPlay leaves badges to the achievement engine');
+  assert.deepEqual(earned(s), ['first']);
+});
+
+test('applyPlay ignores a second play of the same puzzle day', () => {
+  const s = core.applyPlay(fresh(), 3, '20260314');
+  assert.equal(core.applyPlay(s, 5, '20260314'), null);
+});
+
+test('streak follows ET days and resets after a missed day', () => {
+  // 11:30pm PT on Mar 14 is already Mar 15 in ET — the key is the ET day, not the local one
+  let s = core.applyPlay(fresh(), 2, core.etDay(new Date('2026-03-15T06:30:00Z')));
+  s = core.applyPlay(s, 4, core.etDay(new Date('2026-03-16T16:00:00Z')));
+  assert.equal(s.streak, 2);
+  s = core.applyPlay(s, 4, '20260317');
+  assert.equal(s.streak, 3);
+  assert.ok(earned(s).includes('s3'));
+
+  s = core.applyPlay(s, 1, '20260319');
+  assert.equal(s.streak, 1);
+  assert.equal(s.best, 3);
+});
+
+test('streak continues across DST, month and year ends', () => {
+  let s = core.applyPlay(fresh(), 3, '20260307');
+  s = core.applyPlay(s, 3, '20260308');
+  s = core.applyPlay(s, 3, '20260309');
+  assert.equal(s.streak, 3);
+  s = core.applyPlay(core.applyPlay(fresh(), 3, '20260228'), 3, '20260301');
+  assert.equal(s.streak, 2);
+  s = core.applyPlay(core.applyPlay(fresh(), 3, '20261231'), 3, '20270101');
+  assert.equal(s.streak, 2);
+});
+
+test('perfect scores are counted and the full history is kept', () => {
+  let s = fresh();
+  for (let d = 1; d <= 9; d++) s = core.applyPlay(s, 5, `2026040${d}`);
+  assert.equal(s.perfects, 9);
+  assert.equal(s.history.length, 9);
+  assert.ok(earned(s).includes('perf') && earned(s).includes('s7'));
+});
+
+test('applyPlay keeps score and per-question detail in the history entry', () => {
+  const q = [{ r: 'good', ms: 3200, d: 'easy', c: 'Geography' }, { r: 'skip', ms: 12000, d: 'hard', c: 'Sports' }];
+  const s = core.applyPlay(fresh(), 1, '20260314', { score: 160, q });
+  assert.deepEqual(s.history, [{ day: '20260314', correct: 1, score: 160, q }]);
+});
+
+test('migrateDays moves local date keys to ET day keys without breaking the streak', () => {
+  const old = { ...fresh(), streak: 4, best: 4, played: 4, lastDay: new Date(2026, 2, 14).toDateString(),
+    history: [{ date: new Date(2026, 2, 13).toDateString(), correct: 3 }, { date: new Date(2026, 2, 14).toDateString(), correct: 5 }] };
+  const m = core.migrateDays(old);
+  assert.equal(m.lastDay, '20260314');
+  assert.deepEqual(m.history, [{ day: '20260313', correct: 3 }, { day: '20260314', correct: 5 }]);
+  assert.equal(core.applyPlay(m, 4, '20260315').streak, 5);
+  assert.equal(core.migrateDays(m), null, 'already migrated');
+  assert.equal(core.migrateDays(fresh()), null);
+});
+
+test('migrateDays never maps an old save onto today, so today\'s set stays playable', () => {
+  // 23:30 on Mar 14 in ET is already Mar 15 for a player east of it
+  const now = new Date('2026-03-15T03:30:00Z');
+  const local = new Date(2026, 2, 15, 12).toDateString();
+  const old = { ...fresh(), streak: 2, best: 2, played: 3, lastDay: local,
+    history: [{ date: new Date(2026, 2, 12).toDateString(), correct: 3 }, { date: new Date(2026, 2, 13).toDateString(), correct: 4 }, { date: local, correct: 5 }] };
+  const m = core.migrateDays(old, now);
+  assert.equal(core.etDay(now), '20260314');
+  assert.equal(m.lastDay, '20260313');
+  assert.deepEqual(m.history, [{ day: '20260312', correct: 3 }, { day: '20260313', correct: 5 }]);
+  assert.equal(core.applyPlay(m, 4, '20260314').streak, 3);
+});
+
+// ─── Saved games ─────────────────────────────────────────────────────────────
+test('resumeAt continues the on-screen question with its elapsed time', () => {
+  const g = { picks: ['good', 'bad'], qi: 2, qStart: 1_000 };
+  assert.deepEqual(core.resumeAt(g, 5_500), { qi: 2, spent: 4_500 });
+});
+
+test('resumeAt starts the next question fresh when the last one was already answered', () => {
+  assert.deepEqual(core.resumeAt({ picks: ['good', 'bad', 'skip'], qi: 2, qStart: 1_000 }, 60_000), { qi: 3, spent: 0 });
+  assert.deepEqual(core.resumeAt({ picks: [], qi: 0, qStart: 0 }, 60_000), { qi: 0, spent: 0 });
+});
+
+test('a backup set played offline does not take the day', () => {
+  assert.equal(core.takesDay({ backup: true }), false);
+  assert.equal(core.takesDay({ backup: true, relaxed: true }), false);
+  assert.equal(core.takesDay({ arc: { day: '20260314' } }), false);
+  assert.equal(core.takesDay({}), true);
+  assert.equal(core.takesDay({ relaxed: true }), true);
+});
+
+// ─── Locales ─────────────────────────────────────────────────────────────────
+const STRINGS = require('../strings.js');
+
+test('pickLocale takes the first supported language, else English', () => {
+  assert.equal(core.pickLocale(['de-DE', 'fr-CA', 'es']), 'fr');
+  assert.equal(core.pickLocale(['es_MX']), 'es');
+  assert.equal(core.pickLocale(['de', 'ja']), 'en');
+  assert.equal(core.pickLocale(), 'en');
+});
+
+test('localeFile and localeKey leave English names alone', () => {
+  assert.equal(core.localeFile('daily.json', 'en'), 'daily.json');
+  assert.equal(core.localeFile('daily.json', 'es'), 'daily.es.json');
+  assert.equal(core.localeKey('df_streak', 'en'), 'df_streak');
+  assert.equal(core.localeKey('df_streak', 'fr'), 'df_streak.fr');
+});
+
+test('translator fills placeholders, picks plural forms and falls back to English', () => {
+  const t = core.translator({ en: { hi: 'Hi {name}', 'd.one': '{n} day', 'd.other': '{n} days', only: 'English' }, fr: { hi: 'Salut {name}', 'd.one': '{n} jour', 'd.other': '{n} jours' } }, 'fr');
+  assert.equal(t('hi', { name: 'Ana' }), 'Salut Ana');
+  assert.equal(t('d', { n: 1 }), '1 jour');
+  assert.equal(t('d', { n: 0 }), '0 jour', 'French treats 0 as singular');
+  assert.equal(t('d', { n: 3 }), '3 jours');
+  assert.equal(t('only'), 'English');
+  assert.equal(t('missing.key'), 'missing.key');
+});
+
+test('every locale translates every English string', () => {
+  const base = k => k.replace(/\.(zero|one|two|few|many|other)$/, '');
+  const keys = l => new Set(Object.keys(STRINGS[l]).map(base));
+  for (const l of core.LOCALES) assert.deepEqual([...keys('en')].filter(k => !keys(l).has(k)), [], `${l} is missing strings`);
+  for (const b of ACH) for (const l of core.LOCALES.filter(x => x !== 'en')) assert.ok(b.l10n?.[l]?.name && b.l10n[l].desc, `${b.id} has no ${l} text`);
+});
+
+// ─── Stats documents ─────────────────────────────────────────────────────────
+const play = (s, ...days) => days.reduce((acc, [day, c]) => core.applyPlay(acc, c, day), s);
+const docOf = (s, archive) => core.readDoc(core.statsDoc(s, archive, 1));
+
+test('statsDoc round-trips through readDoc, which rejects foreign files', () => {
+  const s = play(fresh(), ['20260313', 4], ['20260314', 5]);
+  const doc = docOf(s, { '20260301': { correct: 3, score: 390 } });
+  assert.deepEqual(doc.stats, s);
+  assert.deepEqual(doc.archive, { '20260301': { correct: 3, score: 390 } });
+  assert.throws(() => core.readDoc({ streak: 4 }), /isn't a Daily Five/);
+  assert.throws(() => core.readDoc({ app: 'dailyfive', v: core.DOC_VERSION + 1 }), /newer/);
+  assert.deepEqual(core.readDoc({ app: 'dailyfive', v: 1, stats: { streak: -3, history: [{ day: 'x', correct: 2 }] } }).stats.history, []);
+});
+
+test('mergeDocs joins two devices that played alternate days into one streak', () => {
+  // phone played Mar 10–12, tablet picked up Mar 13–14 with a fresh local streak
+  const phone  = docOf(play(fresh(), ['20260310', 3], ['20260311', 4], ['20260312', 5]));
+  const tablet = docOf(play(fresh(), ['20260313', 2], ['20260314', 5]));
+  const m = core.mergeDocs(phone, tablet).stats;
+  assert.equal(m.streak, 5);
+  assert.equal(m.best, 5);
+  assert.equal(m.lastDay, '20260314');
+  assert.equal(m.played, 5);
+  assert.equal(m.perfects, 2);
+  assert.deepEqual(m.history.map(h => h.day), ['20260310', '20260311', '20260312', '20260313', '20260314']);
+  assert.ok(earned(m).includes('s3'));
+});
+
+test('mergeDocs keeps a gap as a gap and never loses the best streak', () => {
+  const old = docOf({ ...play(fresh(), ['20260301', 3], ['20260302', 3]), best: 40 });
+  const now = docOf(play(fresh(), ['20260310', 3]));
+  const m = core.mergeDocs(now, old).stats;
+  assert.equal(m.streak, 1);
+  assert.equal(m.best, 40);
+  assert.equal(m.played, 3);
+});
+
+test('mergeDocs is idempotent and does not double-count shared plays', () => {
+  const a = docOf(play(fresh(), ['20260310', 3], ['20260311', 4]));
+  const b = docOf(play(fresh(), ['20260311', 5], ['20260312', 1]));
+  const once = core.mergeDocs(a, b);
+  assert.equal(once.stats.played, 3);
+  assert.equal(once.stats.history.find(h => h.day === '20260311').correct, 5, 'the better score of a day both played');
+  assert.deepEqual(core.mergeDocs(once, b), once);
+  assert.deepEqual(core.mergeDocs(once, once), once);
+});
+
+test('each locale keeps its own record through export, import and merge', () => {
+  const en = play(fresh(), ['20260313', 4], ['20260314', 5]);
+  const phone  = core.readDoc(core.statsDoc(en, {}, 1, { es: { stats: play(fresh(), ['20260312', 3], ['20260313', 3]) }, de: { stats: fresh() } }));
+  const tablet = core.readDoc(core.statsDoc(fresh(), {}, 2, { es: { stats: play(fresh(), ['20260314', 5]), archive: { '20260301': { correct: 2, score: 200 } } } }));
+  assert.deepEqual(Object.keys(phone.locales), ['es'], 'unsupported locales are dropped');
+  assert.equal(phone.stats.streak, 2);
+
+  const m = core.mergeDocs(phone, tablet);
+  assert.equal(m.stats.played, 2, 'English plays stay English');
+  assert.equal(m.locales.es.stats.streak, 3);
+  assert.equal(m.locales.es.stats.played, 3);
+  assert.deepEqual(m.locales.es.archive, { '20260301': { correct: 2, score: 200 } });
+  assert.equal(core.statsDoc(en).locales, undefined);
+});
+
+test('relaxed records go through export, import and merge apart from the standard ones', () => {
+  const en = play(fresh(), ['20260314', 4]);
+  const phone  = core.readDoc(core.statsDoc(en, {}, 1, { es: { stats: fresh(), relaxed: play(fresh(), ['20260313', 5]) } }, play(fresh(), ['20260312', 2], ['20260313', 3])));
+  const tablet = core.readDoc(core.statsDoc(fresh(), {}, 2, {}, play(fresh(), ['20260314', 5])));
+  assert.equal(phone.relaxed.streak, 2);
+  assert.equal(phone.locales.es.relaxed.played, 1);
+  assert.equal(tablet.locales, undefined);
+
+  const m = core.mergeDocs(phone, tablet);
+  assert.equal(m.relaxed.streak, 3);
+  assert.equal(m.relaxed.best, 3);
+  assert.deepEqual(m.relaxed.history.map(h => h.day), ['20260312', '20260313', '20260314']);
+  assert.equal(m.stats.played, 1, 'relaxed plays stay off the standard record');
+  assert.deepEqual(m.locales.es.relaxed, phone.locales.es.relaxed);
+  assert.deepEqual(core.mergeDocs(m, tablet), m);
+  assert.equal(core.statsDoc(en).relaxed, undefined);
+  assert.equal(core.readDoc({ app: 'dailyfive', v: 3, stats: en }).relaxed, undefined, 'v3 files had none');
+});
+
+test('readDoc keeps per-question detail and still reads v1 files', () => {
+  const q = [{ r: 'bad', ms: 5000, d: 'medium', c: 'Science & Nature' }];
+  const s = core.applyPlay(fresh(), 0, '20260314', { score: 0, q });
+  assert.deepEqual(docOf(s).stats.history[0], { day: '20260314', correct: 0, score: 0, q });
+  const v1 = { app: 'dailyfive', v: 1, updated: 1, stats: { ...fresh(), played: 1, lastDay: '20260314', history: [{ day: '20260314', correct: 3 }] }, archive: {} };
+  assert.equal(core.readDoc(v1).v, core.DOC_VERSION);
+  assert.deepEqual(core.readDoc(v1).stats.history, [{ day: '20260314', correct: 3 }]);
+});
+
+// ─── Stats screen ────────────────────────────────────────────────────────────
+test('summarize builds the distribution, timing and accuracy breakdowns', () => {
+  const q = (r, ms, d, c) => ({ r, ms, d, c });
+  const history = [
+    { day: '20260301', correct: 3 },   // pre-detail entry
+    { day: '20260302', correct: 2, score: 300, q: [q('good', 2000, 'easy', 'Sports'), q('good', 4000, 'easy', 'Geography'), q('bad', 6000, 'medium', 'Sports'), q('skip', 12000, 'medium', 'Geography'), q('bad', 8000, 'hard', 'Sports')] },
+    { day: '20260303', correct: 5, score: 700, q: ['easy', 'easy', 'medium', 'medium', 'hard'].map(d => q('good', 1000, d, 'Sports')) },
+  ];
+  const st = core.summarize(history);
+  assert.deepEqual(st.dist, [0, 0, 1, 1, 0, 1]);
+  assert.equal(st.avgMs, Math.round((2000 + 4000 + 6000 + 8000 + 5 * 1000) / 9), 'timeouts are left out');
+  assert.deepEqual(st.byDiff.medium, { right: 2, n: 4 });
+  assert.deepEqual(st.byCat.Sports, { right: 6, n: 8 });
+  assert.deepEqual(core.summarize([{ day: '20260304', correct: 1, q: [q('good', 1, 'easy', 'film'), q('bad', 1, 'easy', 'Entertainment: Film')] }]).byCat,
+    { Film: { right: 1, n: 2 } }, 'both sources land in one bucket');
+  assert.deepEqual(st.days, { '20260301': 3, '20260302': 2, '20260303': 5 });
+  assert.equal(core.summarize([]).avgMs, null);
+});
+
+test('monthCells pads to the weekday of the 1st and knows month lengths', () => {
+  const c = core.monthCells('202603');
+  assert.equal(c.indexOf('20260301'), 0, 'March 2026 starts on a Sunday');
+  assert.equal(c.length, 31);
+  const feb = core.monthCells('202802');
+  assert.equal(feb.filter(Boolean).length, 29);
+  assert.equal(feb.indexOf('20280201'), 2, 'Feb 2028 starts on a Tuesday');
+});
+
+// ─── Achievements ────────────────────────────────────────────────────────────
+const game = (day, rs, { ms = 5000, d = ['easy', 'easy', 'medium', 'medium', 'hard'], c = 'Geography' } = {}) =>
+  [day, rs.filter(r => r === 'good').length, { score: 0, q: rs.map((r, i) => ({ r, ms, d: d[i], c })) }];
+const playAll = (s, games) => games.reduce((acc, [day, correct, detail]) => core.applyPlay(acc, correct, day, detail), s);
+const ALL = Array(5).fill('good');
+const days = (from, n) => Array.from({ length: n }, (_, i) => core.addDays(from, i));
+const progress = (s, id) => core.achievements(ACH, s).find(a => a.id === id);
+
+test('every achievement definition uses a known metric and a positive goal', () => {
+  const ids = new Set();
+  for (const a of ACH) {
+    assert.ok(core.METRICS[a.metric], `${a.id}: unknown metric ${a.metric}`);
+    assert.ok(a.goal > 0 && a.icon && a.name && a.desc, a.id);
+    assert.ok(!ids.has(a.id), `duplicate id ${a.id}`);
+    ids.add(a.id);
+  }
+  for (const old of ['first', 's3', 's7', 's30', 'perf']) assert.ok(ids.has(old), `${old} must keep its id so saved unlocks survive`);
+});
+
+test('existing unlocks are kept even when the metric no longer qualifies', () => {
+  const s = { ...fresh(), badges: ['s30', 'retired-badge'] };
+  const r = core.unlockAchievements(ACH, s);
+  assert.deepEqual(r.badges, ['s30', 'retired-badge']);
+  assert.deepEqual(r.fresh, []);
+  assert.equal(progress(s, 's30').unlocked, true);
+});
+
+test('speed badge needs five correct answers under 3s in one game', () => {
+  let s = playAll(fresh(), [game('20260301', ALL, { ms: 2500 })]);
+  assert.ok(earned(s).includes('speed'));
+  s = playAll(fresh(), [game('20260301', ['good', 'good', 'good', 'good', 'bad'], { ms: 2500 }), game('20260302', ALL, { ms: 3000 })]);
+  assert.ok(!earned(s).includes('speed'));
+  assert.equal(progress(s, 'speed').value, 4);
+});
+
+test('perfect week and hard-question runs need consecutive days', () => {
+  let s = playAll(fresh(), days('20260301', 7).map(d => game(d, ALL)));
+  assert.ok(earned(s).includes('pweek'));
+  assert.ok(earned(s).includes('hard7'));
+  const gap = [...days('20260301', 4), ...days('20260306', 3)];
+  s = playAll(fresh(), gap.map(d => game(d, ALL)));
+  assert.ok(!earned(s).includes('pweek'));
+  assert.equal(progress(s, 'pweek').value, 4);
+  s = playAll(fresh(), days('20260301', 7).map((d, i) => game(d, i === 3 ? ['good', 'good', 'good', 'good', 'bad'] : ALL)));
+  assert.equal(progress(s, 'hard7').value, 3);
+});
+
+test('comeback counts a new run only after a 3+ day streak was lost', () => {
+  const before = days('20260301', 3), after = days('20260310', 7);
+  const s = playAll(fresh(), [...before, ...after].map(d => game(d, ALL)));
+  assert.ok(earned(s).includes('comeback'));
+  const short = playAll(fresh(), [...days('20260301', 2), ...after].map(d => game(d, ALL)));
+  assert.equal(progress(short, 'comeback').value, 0, 'a 2-day streak is not much of a loss');
+});
+
+test('category mastery counts correct answers across games and sources', () => {
+  const s = playAll(fresh(), days('20260301', 4).map(d => game(d, ALL, { c: 'geography' })));
+  assert.equal(progress(s, 'cat-geo').value, 20);
+  assert.ok(earned(s).includes('cat-geo'));
+  assert.equal(progress(s, 'cat-sci').value, 0);
+});
+
+test('100 games unlocks Centurion, with progress on the way', () => {
+  assert.equal(progress({ ...fresh(), played: 42 }, 'g100').value, 42);
+  assert.ok(earned({ ...fresh(), played: 100 }).includes('g100'));
+});
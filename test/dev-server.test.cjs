@@ -0,0 +1,24 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+const { siteFile } = require('../scripts/dev-server.cjs');
+const ROOT = path.join(__dirname, '..');
+
+test('the dev server serves the site', () => {
+  assert.equal(siteFile('/'), path.join(ROOT, 'index.html'));
+  for (const url of ['/index.html', '/daily-core.js', '/daily.json', '/archive/20260314.json', '/site.webmanifest', '/favicon.ico']) {
+    assert.equal(siteFile(url), path.join(ROOT, url), url);
+  }
+});
+
+test('the dev server hides the blobs and everything else that is not the site', () => {
+  for (const url of [
+    '/.blobs/play-secret.json', '/.blobs/vapid.json', '/.blobs/', '/.git/config', '/.github/workflows/daily-questions.yml',
+    '/%2eblobs/play-secret.json', '/archive/../.blobs/play-secret.json', '/..%2f.blobs/play-secret.json',
+    '/netlify/lib/seal.cjs', '/scripts/dev-server.cjs', '/test/fixtures/replay/easy.json', '/node_modules/web-push/package.json',
+    '/package.json', '/pools/es/', '/curated/20261031.json', '/requests.jsonl', '/_redirects',
+  ]) {
+    assert.equal(siteFile(url), null, url);
+  }
+});
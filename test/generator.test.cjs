@@ -0,0 +1,515 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const gen  = require('../scripts/generate-daily.cjs');
+const core = require('../daily-core.js');
+const { answerMac } = require('../netlify/lib/seal.cjs');
+
+process.env.PLAY_SECRET = 'test-secret';   // the CLI runs below seal with it too
+const MAC = answerMac('test-secret');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'replay');
+const replay = { mode: 'replay', dir: FIXTURES };
+const quiet = fn => async (...args) => {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try { return await fn(...args); } finally { console.log = log; console.warn = warn; }
+};
+const runOpenTDB = quiet((ctx) => gen.runSource(gen.sourceOrder('OPENTDB')[0], { fixtures: replay, ...ctx }));
+const keysOf = qs => qs.map(q => core.unsealQuestion(q, MAC)).map(q => gen.qKey(q.text, q.options[q.correct]));
+
+// ─── Day math ────────────────────────────────────────────────────────────────
+test('dayIndexFrom counts the launch day as day 1', () => {
+  assert.equal(gen.dayIndexFrom(gen.START_DAY, gen.START_DAY), 1);
+  assert.equal(gen.dayIndexFrom(gen.START_DAY, '20260314'), 203);
+  assert.equal(gen.dayIndexFrom(gen.START_DAY, '20250101'), 1, 'never goes below 1');
+});
+
+test('dayIndexFrom is not thrown off by DST changes', () => {
+  assert.equal(gen.dayIndexFrom('20260307', '20260309'), 3);
+  assert.equal(gen.dayIndexFrom('20261031', '20261102'), 3);
+});
+
+test('yyyymmdd rolls over at ET midnight on both sides of DST', () => {
+  const et = iso => gen.yyyymmdd(new Date(iso));
+  // EST (UTC-5), the night before spring-forward
+  assert.equal(et('2026-03-08T04:59:59Z'), '20260307');
+  assert.equal(et('2026-03-08T05:00:00Z'), '20260308');
+  // EDT (UTC-4), the first night after spring-forward
+  assert.equal(et('2026-03-09T03:59:59Z'), '20260308');
+  assert.equal(et('2026-03-09T04:00:00Z'), '20260309');
+  // fall-back: Oct 31 ends on EDT, Nov 1 ends on EST
+  assert.equal(et('2026-11-01T03:59:59Z'), '20261031');
+  assert.equal(et('2026-11-01T04:00:00Z'), '20261101');
+  assert.equal(et('2026-11-02T04:59:59Z'), '20261101');
+  assert.equal(et('2026-11-02T05:00:00Z'), '20261102');
+});
+
+// ─── Hashing + shuffling ─────────────────────────────────────────────────────
+test('fnv1a is a stable 8-char hex hash', () => {
+  assert.equal(gen.fnv1a(''), '811c9dc5');
+  assert.match(gen.fnv1a('daily five'), /^[0-9a-f]{8}$/);
+  assert.equal(gen.fnv1a('daily five'), gen.fnv1a('daily five'));
+  assert.notEqual(gen.fnv1a('daily five'), gen.fnv1a('daily fivE'));
+});
+
+test('qKey ignores case and whitespace but not the answer', () => {
+  const k = gen.qKey('What do bees make?', 'Honey');
+  assert.equal(gen.qKey('  what do   BEES make? ', 'honey '), k);
+  assert.notEqual(gen.qKey('What do bees make?', 'Wax'), k);
+});
+
+test('seededShuffle is a deterministic permutation', () => {
+  const arr = ['a', 'b', 'c', 'd', 'e', 'f'];
+  const a = gen.seededShuffle(arr, 20260314);
+  assert.deepEqual(a, gen.seededShuffle(arr, 20260314));
+  assert.deepEqual([...a].sort(), arr);
+  assert.deepEqual(arr, ['a', 'b', 'c', 'd', 'e', 'f'], 'input is not mutated');
+});
+
+test('seedFor changes with a reroll nonce', () => {
+  assert.equal(gen.seedFor('20260314'), 20260314);
+  assert.equal(gen.seedFor('20260314', 'again'), gen.seedFor('20260314', 'again'));
+  assert.notEqual(gen.seedFor('20260314', 'again'), gen.seedFor('20260314'));
+});
+
+test('decodeHTMLEntities handles the entities OpenTDB sends', () => {
+  assert.equal(gen.decodeHTMLEntities('McDonald&#039;s &quot;I&#039;m Lovin&#039; It&quot;'), 'McDonald\'s "I\'m Lovin\' It"');
+  assert.equal(gen.decodeHTMLEntities('Science &amp; Nature'), 'Science & Nature');
+  assert.equal(gen.decodeHTMLEntities('Pok&eacute;mon&hellip;'), 'Pokémon…');
+});
+
+// ─── Filters ─────────────────────────────────────────────────────────────────
+const good = {
+  text: 'What do bees make?', correctAnswer: 'Honey',
+  incorrectAnswers: ['Milk', 'Syrup', 'Butter'], difficulty: 'easy', category: 'General Knowledge',
+};
+
+test('passFilter accepts a clean question', () => {
+  assert.equal(gen.passFilter(good), true);
+});
+
+test('passFilter rejects banned patterns, long text and bad options', () => {
+  const bad = over => gen.passFilter({ ...good, ...over });
+  assert.equal(bad({ text: 'In which year did the war end?' }), false);
+  assert.equal(bad({ text: 'Which of the following is a bird?' }), false);
+  assert.equal(bad({ text: 'Which is NOT a fruit?' }), false);
+  assert.equal(bad({ text: 'What is the chemical formula for salt?' }), false);
+  assert.equal(bad({ text: 'x'.repeat(111) + '?' }), false);
+  assert.equal(bad({ text: 'WHAT DO BEES MAKE?' }), false);
+  assert.equal(bad({ incorrectAnswers: ['Milk', 'Syrup'] }), false);
+  assert.equal(bad({ incorrectAnswers: ['Milk', 'Syrup', 'y'.repeat(37)] }), false);
+  assert.equal(bad({ category: 'Entertainment: Video Games' }), false);
+});
+
+// ─── buildFromPool ───────────────────────────────────────────────────────────
+const pool = (n, category = 'General Knowledge') => Array.from({ length: n }, (_, i) => ({
+  ...good, text: `Sample question number ${i} about ${category}?`, correctAnswer: `Answer ${i}`, category,
+}));
+
+test('buildFromPool returns n questions with a valid correct index', () => {
+  const out = gen.buildFromPool(pool(6), 2, new Set(), 42);
+  assert.equal(out.length, 2);
+  for (const q of out) {
+    assert.equal(q.options.length, 4);
+    assert.ok(q.options[q.correct].startsWith('Answer '));
+  }
+});
+
+test('buildFromPool skips questions already in used.json and gives up when short', () => {
+  const p = pool(3);
+  const seen = new Set([gen.qKey(p[0].text, p[0].correctAnswer), gen.qKey(p[1].text, p[1].correctAnswer)]);
+  const out = gen.buildFromPool(p, 1, seen, 42);
+  assert.equal(out[0].text, p[2].text);
+  assert.equal(gen.buildFromPool(p, 2, seen, 42), null);
+});
+
+test('buildFromPool prefers General Knowledge, then spreads categories', () => {
+  const p = [...pool(2, 'Sports'), ...pool(2, 'Geography'), ...pool(3, 'General Knowledge')];
+  const out = gen.buildFromPool(p, 4, new Set(), 7);
+  assert.equal(out[0].category, 'General Knowledge');
+  assert.ok(out.some(q => q.category === 'Sports'));
+  assert.ok(out.some(q => q.category === 'Geography'));
+});
+
+// ─── Quality scoring ─────────────────────────────────────────────────────────
+const dq = (text, options, correct = 0) => ({ text, options, correct });
+const checks = r => r.issues.map(i => i.check);
+
+test('scoreQuestion passes a clean question', () => {
+  const r = gen.scoreQuestion(dq('What do bees make?', ['Honey', 'Milk', 'Syrup', 'Butter']));
+  assert.equal(r.score, 1);
+  assert.deepEqual(r.issues, []);
+});
+
+test('scoreQuestion catches answer leaks, look-alike and catch-all options', () => {
+  assert.deepEqual(checks(gen.scoreQuestion(dq('Which sea is named after the colour red?', ['Red Sea', 'Black Sea', 'Dead Sea', 'North Sea']))), ['leak']);
+  assert.deepEqual(checks(gen.scoreQuestion(dq('Who sang "My Generation"?', ['The Who', 'The Kinks', 'Queen', 'Blur']))), []);
+  assert.deepEqual(checks(gen.scoreQuestion(dq('Which band sang "Baba O\'Riley", The Who?', ['The Who', 'The Kinks', 'Queen', 'Blur']))), ['leak']);
+  assert.deepEqual(checks(gen.scoreQuestion(dq('Who wrote Hamlet?', ['Shakespeare', 'shakespeare.', 'Marlowe', 'Jonson']))), ['sameOption']);
+  assert.deepEqual(checks(gen.scoreQuestion(dq('Who wrote Hamlet?', ['Shakespeare', 'Marlowe', 'Jonson', 'All of the above']))), ['catchAll']);
+});
+
+test('scoreQuestion sanity-checks numeric options', () => {
+  assert.deepEqual(checks(gen.scoreQuestion(dq('How many legs does a spider have?', ['8', '6', '10', '12']))), []);
+  assert.deepEqual(checks(gen.scoreQuestion(dq('How many metres in a kilometre?', ['1,000', '1000', '100', '10']))), ['sameOption']);
+  const mixed = gen.scoreQuestion(dq('How many legs does a spider have?', ['8', '6', 'Ten', '12']));
+  assert.deepEqual(checks(mixed), ['mixedNums']);
+  assert.equal(mixed.score, 0.75);
+});
+
+test('scoreQuestion flags rewordings of questions in the history', () => {
+  const opts = ['Pacific', 'Atlantic', 'Indian', 'Arctic'];
+  assert.deepEqual(checks(gen.scoreQuestion(dq('Which is the largest ocean?', opts), ['What is the largest ocean?'])), ['nearDup']);
+  assert.deepEqual(checks(gen.scoreQuestion(dq('Which is the largest ocean?', opts), ['What is the largest ocean trench?'])), ['similar']);
+  assert.deepEqual(checks(gen.scoreQuestion(dq('Which is the largest ocean?', opts), ['What do bees make?'])), []);
+  assert.ok(gen.tokenSimilarity('What color are ripe bananas?', 'What color is a ripe banana?') === 1, 'plurals and stopwords are ignored');
+});
+
+test('scoreSet scores its weakest question and checks questions against each other', () => {
+  const a = dq('What do bees make?', ['Honey', 'Milk', 'Syrup', 'Butter']);
+  const b = dq('Bees make what?', ['Honey', 'Wax', 'Silk', 'Jam']);
+  assert.deepEqual(gen.scoreSet([a]), { score: 1, pass: true, questions: [{ text: a.text, score: 1, issues: [] }] });
+  const r = gen.scoreSet([a, b]);
+  assert.equal(r.score, 0);
+  assert.equal(r.pass, false);
+  assert.deepEqual(checks(r.questions[1]), ['nearDup']);
+});
+
+test('runSource rejects a set that repeats the history and reports the attempt', async () => {
+  const first = await runOpenTDB({ seedBase: 1, seen: new Set() });
+  const report = [];
+  await assert.rejects(
+    runOpenTDB({ seedBase: 1, seen: new Set(), history: first.map(q => q.text), report }),
+    /Quality score 0 is below 0\.7/,
+  );
+  assert.equal(report.length, 1);
+  assert.equal(report[0].source, 'OPENTDB');
+  assert.ok(report[0].questions.every(r => r.issues.some(i => i.check === 'nearDup')));
+});
+
+test('a reuse source is held to the history too, except for the repeats it needs once a bank runs dry', async () => {
+  const local = gen.sourceOrder('LOCAL_FALLBACK')[0];
+  const row = (text, correctAnswer, difficulty) => ({ ...good, text, correctAnswer, difficulty });
+  const bank = {
+    easy:   [row('Which planet is closest to the Sun?', 'Mercury', 'easy'), row('What colour are ripe bananas?', 'Yellow', 'easy')],
+    medium: [row('Who wrote the novel Dracula?', 'Bram Stoker', 'medium'), row('What is the largest ocean on Earth?', 'Pacific', 'medium')],
+    hard:   [row('Which country has the most time zones?', 'France', 'hard')],
+  };
+  const run = (ctx, warnings = []) => quiet(() => {
+    console.warn = msg => warnings.push(msg);
+    return gen.runSource(local, { bank, seedBase: 3, ...ctx });
+  })();
+
+  await assert.rejects(run({ seen: new Set(), history: ['Which planet sits closest to the Sun?'] }), /Quality score/, 'a fresh question that rewords an old one');
+
+  const seen = new Set(bank.easy.map(q => gen.qKey(q.text, q.correctAnswer)));
+  const report = [], warnings = [];
+  const set = await run({ seen, history: bank.easy.map(q => q.text), report }, warnings);
+  assert.deepEqual(set.slice(0, 2).map(q => q.text).sort(), bank.easy.map(q => q.text).sort());
+  assert.equal(report[0].repeats, 2);
+  assert.ok(report[0].questions.every(r => !r.issues.length));
+  assert.ok(warnings.some(w => /out of unused easy questions — repeating 2 from used\.json/.test(w)), warnings.join('\n'));
+});
+
+test('writeQualityReport writes one file per day', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-quality-'));
+  const file = await quiet(gen.writeQualityReport)({ day: '20260314', attempts: [] }, dir);
+  assert.equal(file, path.join(dir, '20260314.json'));
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { day: '20260314', attempts: [] });
+});
+
+// ─── Full pipeline from a recorded fixture ───────────────────────────────────
+test('replayed OpenTDB fixture yields a 2/2/1 difficulty split', async () => {
+  const qs = await runOpenTDB({ seedBase: gen.seedFor('20260314'), seen: new Set() });
+  assert.deepEqual(qs.map(q => q.difficulty), ['easy', 'easy', 'medium', 'medium', 'hard']);
+  for (const q of qs) {
+    assert.ok(gen.passFilter({ ...q, correctAnswer: q.options[q.correct], incorrectAnswers: q.options.filter((_, i) => i !== q.correct) }));
+    assert.ok(!/&(quot|amp|#039);/.test(q.text + q.options.join()), 'entities are decoded');
+  }
+});
+
+test('same day + nonce gives the same set; a new nonce reshuffles', async () => {
+  const a = await runOpenTDB({ seedBase: gen.seedFor('20260314', 'x'), seen: new Set() });
+  const b = await runOpenTDB({ seedBase: gen.seedFor('20260314', 'x'), seen: new Set() });
+  const c = await runOpenTDB({ seedBase: gen.seedFor('20260314', 'y'), seen: new Set() });
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(a.map(q => q.options), c.map(q => q.options));
+});
+
+test('questions in used.json are not picked again', async () => {
+  const first = await runOpenTDB({ seedBase: 1, seen: new Set() });
+  const seen = new Set(keysOf(first));
+  const second = await runOpenTDB({ seedBase: 1, seen });
+  assert.equal(second.length, 5);
+  assert.ok(keysOf(second).every(k => !seen.has(k)));
+});
+
+test('replay fails cleanly when no fixture was recorded', async () => {
+  await assert.rejects(
+    quiet(() => gen.runSource(gen.sourceOrder('THE_TRIVIA_API')[0], { fixtures: replay, seedBase: 1, seen: new Set() }))(),
+    /No fixture recorded/,
+  );
+});
+
+test('sourceOrder follows QUESTION_SOURCES and rejects unknown names', () => {
+  assert.deepEqual(gen.sourceOrder('').map(s => s.name), ['THE_TRIVIA_API', 'OPENTDB', 'LOCAL_FALLBACK']);
+  assert.deepEqual(gen.sourceOrder('local_fallback, opentdb').map(s => s.name), ['LOCAL_FALLBACK', 'OPENTDB']);
+  assert.throws(() => gen.sourceOrder('NOPE'), /Unknown source/);
+});
+
+test('sourceOrder only keeps the sources that speak the locale', () => {
+  assert.deepEqual(gen.sourceOrder('', 'es').map(s => s.name), ['LOCAL_FALLBACK']);
+  assert.throws(() => gen.sourceOrder('OPENTDB', 'fr'), /have no "fr" questions/);
+});
+
+// ─── Local bank, curated days, ledger ────────────────────────────────────────
+test('the shipped pools validate and the local fallback fills a set', async () => {
+  const bank = gen.loadLocalBank();
+  for (const d of gen.DIFFICULTIES) assert.ok(bank[d].length >= 5, `${d} bank too small`);
+  const qs = await quiet(() => gen.runSource(gen.sourceOrder('LOCAL_FALLBACK')[0], { bank, seedBase: 5, seen: new Set() }))();
+  assert.equal(qs.length, 5);
+});
+
+test('the Spanish and French pools validate on their own and last ten days without a repeat', async () => {
+  for (const locale of ['es', 'fr']) {
+    const bank = gen.loadLocalBank(gen.poolDirs(locale), null);
+    const ctx = { used: { seen: [], texts: [] }, bank, adapters: gen.sourceOrder('LOCAL_FALLBACK', locale), curatedDir: null, mac: MAC };
+    for (let i = 0; i < 10; i++) {
+      const { report } = await quiet(gen.generateDay)(gen.addDays('20261101', i), ctx);
+      assert.equal(report.published, 'LOCAL_FALLBACK', `${locale} day ${i + 1}`);
+      assert.equal(report.attempts[0].repeats, undefined, `${locale} day ${i + 1} repeats used.json — add questions to pools/${locale}/`);
+    }
+  }
+});
+
+test('validatePoolRow points at the offending row', () => {
+  const row = { category: 'Geo', question: 'What is the capital of France?', correct_answer: 'Paris', incorrect_answers: ['Rome', 'Oslo', 'Bern'] };
+  assert.throws(() => gen.validatePoolRow(row, 'easy', 'pools/easy.json[3]'), /^Error: pools\/easy\.json\[3\]: category "Geo"/);
+  assert.throws(() => gen.validatePoolRow({ ...row, category: 'Geography', incorrect_answers: ['Rome', 'paris', 'Bern'] }, 'easy', 'x'), /4 unique/);
+});
+
+test('fromCurated loads the Halloween set in difficulty order', async () => {
+  const c = await quiet(gen.fromCurated)('20261031', 9, new Set());
+  assert.equal(c.theme, 'Halloween Special 🎃');
+  assert.deepEqual(c.questions.map(q => q.difficulty), ['easy', 'easy', 'medium', 'medium', 'hard']);
+  assert.equal(await quiet(gen.fromCurated)('20261101', 9, new Set()), null);
+});
+
+test('loadUsed caps the ledger and migrates the legacy text format', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-used-'));
+  const file = path.join(dir, 'used.json');
+
+  fs.writeFileSync(file, JSON.stringify({ seen: Array.from({ length: gen.USED_CAP + 5 }, (_, i) => `k${i}`) }));
+  const used = await quiet(gen.loadUsed)(file);
+  assert.equal(used.seen.length, gen.USED_CAP);
+  assert.equal(used.seen[0], 'k5');
+
+  fs.writeFileSync(file, JSON.stringify(['Some old &quot;question&quot; text?']));
+  const legacy = await quiet(gen.loadUsed)(file);
+  assert.deepEqual(legacy.seen, [], 'nothing to key the texts by');
+  assert.deepEqual(legacy.texts, ['Some old "question" text?'], 'legacy texts still feed the near-duplicate check');
+});
+
+test('a legacy ledger is keyed from the archive and the bank', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-used-'));
+  const file = path.join(dir, 'used.json'), archiveDir = path.join(dir, 'archive');
+  const [a, b, c, d] = pool(4).map(q => ({ ...q, options: [q.correctAnswer, ...q.incorrectAnswers], correct: 0 }));
+  fs.mkdirSync(archiveDir);
+  fs.writeFileSync(path.join(archiveDir, '20250101.json'), JSON.stringify({ day: '20250101', questions: [a] }));
+  fs.writeFileSync(path.join(archiveDir, '20250102.json'), JSON.stringify({
+    day: '20250102', questions: [core.sealQuestion(b, 's1', MAC), core.sealQuestion(c, 's2', answerMac('another-secret'))],
+  }));
+  fs.writeFileSync(path.join(archiveDir, 'index.json'), JSON.stringify({ days: ['20250101', '20250102'] }));
+  fs.writeFileSync(file, JSON.stringify([a.text, d.text.toUpperCase()]));
+
+  const used = await quiet(gen.loadUsed)(file, { archiveDir, mac: MAC, bank: { easy: pool(4) } });
+  const key = q => gen.qKey(q.text, q.correctAnswer);
+  assert.deepEqual(used.seen, [key(a), key(b), key(c), key(d)],
+    'archived sets by their answers, then bank questions for the texts alone and sets sealed with another key');
+  assert.deepEqual(used.texts, [a.text, d.text.toUpperCase()]);
+});
+
+test('blocklisted questions are never picked, not even by a reuse source', async () => {
+  const p = pool(3);
+  const blocked = new Set([gen.qKey(p[0].text, p[0].correctAnswer)]);
+  const seen = new Set([...p.map(q => gen.qKey(q.text, q.correctAnswer))]);
+  const set = gen.buildSet({ easy: p, medium: p, hard: p }, 3, seen, { reuse: true }, blocked);
+  assert.ok(set.every(q => q.text !== p[0].text));
+
+  const c = await quiet(gen.fromCurated)('20261031', 9, new Set());
+  const pulled = c.questions[0];
+  assert.throws(() => gen.fromCurated('20261031', 9, new Set(), undefined, new Set([gen.qKey(pulled.text, pulled.options[pulled.correct])])), /is on the blocklist/);
+});
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+test('parseCli reads dates, day counts, sources and the preview command', () => {
+  const o = gen.parseCli([], '20261019');
+  assert.equal(o.command, 'generate');
+  assert.equal(o.date, '20261019');
+  assert.equal(o.days, 1);
+  assert.equal(o.dryRun, false);
+  assert.equal(o.out, process.cwd());
+
+  const p = gen.parseCli(['preview', '--date', '20261031', '--days', '7', '--source', 'local_fallback', '--out', 'tmp'], '20261019');
+  assert.deepEqual(p, { command: 'preview', help: false, date: '20261031', days: 7, dryRun: true, source: 'LOCAL_FALLBACK', locale: 'en', out: path.resolve('tmp') });
+  assert.equal(gen.parseCli(['--dry-run']).dryRun, true);
+  assert.equal(gen.parseCli(['--locale', 'fr']).locale, 'fr');
+  assert.throws(() => gen.parseCli(['--locale', 'de']), /--locale must be one of en, es, fr/);
+
+  assert.throws(() => gen.parseCli(['--date', '20260231']), /real day/);
+  assert.throws(() => gen.parseCli(['--days', '0']), /--days/);
+  assert.throws(() => gen.parseCli(['publish']), /Unknown command/);
+  assert.throws(() => gen.parseCli(['--nope']), /Unknown option/);
+});
+
+test('addDays crosses months and DST without drifting', () => {
+  assert.equal(gen.addDays('20261031', 1), '20261101');
+  assert.equal(gen.addDays('20260307', 2), '20260309');
+  assert.equal(gen.addDays('20261231', 1), '20270101');
+});
+
+test('generateDay builds consecutive days without repeating a question', async () => {
+  const used = { seen: [], texts: [] };
+  const ctx = { used, bank: gen.loadLocalBank(), adapters: gen.sourceOrder('LOCAL_FALLBACK'), curatedDir: null, mac: MAC };
+  const days = [];
+  for (const day of ['20261101', '20261102', '20261103']) days.push(await quiet(gen.generateDay)(day, ctx));
+  const keys = days.flatMap(d => keysOf(d.payload.questions));
+  assert.equal(new Set(keys).size, 15);
+  assert.deepEqual(used.seen, keys, 'used grows in memory as each day is built');
+  assert.deepEqual(days.map(d => d.payload.dayIndex), [435, 436, 437]);
+  assert.equal(days[0].report.published, 'LOCAL_FALLBACK');
+});
+
+test('published questions are sealed with the server key: no correct index, and only that key opens them', async () => {
+  const ctx = { used: { seen: [], texts: [] }, bank: gen.loadLocalBank(), adapters: gen.sourceOrder('LOCAL_FALLBACK'), curatedDir: null, mac: MAC };
+  const { payload } = await quiet(gen.generateDay)('20261105', ctx);
+  for (const q of payload.questions) {
+    assert.equal(q.correct, undefined);
+    assert.match(q.salt, /^[0-9a-f]{8}$/);
+    assert.match(q.check, /^[0-9a-f]{16}$/);
+    assert.ok(core.unsealQuestion(q, MAC).correct >= 0, q.text);
+    assert.equal(core.unsealQuestion(q, answerMac('guess')).correct, -1, q.text);
+  }
+  assert.equal(new Set(payload.questions.map(q => q.salt)).size, 5, 'one salt per question');
+});
+
+test('the public day and reroll flag don\'t give away where a sealed answer sits', async () => {
+  // what anyone can run: the source shuffles are seeded off seedFor(day, '') plus 7 per slot
+  const guess = (day, slot) => gen.seededShuffle([0, 1, 2, 3], (gen.seedFor(day) + slot * 7) >>> 0).indexOf(0);
+  const fullyGuessed = [];
+  for (const day of ['20261020', '20261021', '20261105']) {
+    const ctx = { used: { seen: [], texts: [] }, bank: gen.loadLocalBank(), adapters: gen.sourceOrder('LOCAL_FALLBACK'), curatedDir: null, mac: MAC };
+    const { payload } = await quiet(gen.generateDay)(day, ctx);
+    const answers = payload.questions.map(q => core.unsealQuestion(q, MAC).correct);
+    for (let offset = 0; offset < 40; offset++) {
+      if (answers.every((c, i) => c === guess(day, offset + i))) fullyGuessed.push(`${day}+${offset}`);
+    }
+  }
+  assert.ok(fullyGuessed.length < 3, `guessed ${fullyGuessed}`);
+
+  const other = answerMac('another-secret');
+  const build = mac => quiet(gen.generateDay)('20261105', { used: { seen: [], texts: [] }, bank: gen.loadLocalBank(), adapters: gen.sourceOrder('LOCAL_FALLBACK'), curatedDir: null, mac });
+  const [a, b] = [(await build(MAC)).payload, (await build(other)).payload];
+  assert.deepEqual(a.questions.map(q => q.text), b.questions.map(q => q.text), 'the key only moves the options');
+  assert.ok(a.questions.some((q, i) => q.options.join() !== b.questions[i].options.join()));
+  assert.deepEqual(a.questions.map(q => q.options[core.unsealQuestion(q, MAC).correct]), b.questions.map(q => q.options[core.unsealQuestion(q, other).correct]));
+});
+
+test('generateDay prefers the curated file and reports when every source fails', async () => {
+  const base = { used: { seen: [], texts: [] }, bank: gen.loadLocalBank(), adapters: gen.sourceOrder('LOCAL_FALLBACK'), mac: MAC };
+  const { payload } = await quiet(gen.generateDay)('20261031', base);
+  assert.equal(payload.source, 'CURATED');
+  assert.equal(payload.theme, 'Halloween Special 🎃');
+
+  const empty = { easy: [], medium: [], hard: [] };
+  const { payload: none, report } = await quiet(gen.generateDay)('20261101', { ...base, bank: empty, curatedDir: null });
+  assert.equal(none, null);
+  assert.equal(report.published, null);
+  assert.match(report.attempts[0].error, /exhausted/);
+});
+
+test('renderPreview shows the answer, the source and why each pick was made', async () => {
+  const { payload, report } = await quiet(gen.generateDay)('20260314', {
+    used: { seen: [], texts: [] }, adapters: gen.sourceOrder('OPENTDB'), fixtures: replay, curatedDir: null, mac: MAC,
+  });
+  const text = gen.renderPreview(payload, report, MAC);
+  assert.match(text, /^Daily Five #203 — 20260314 · OPENTDB/);
+  assert.match(text, /✓ OPENTDB: quality 1\.00 \(min 0\.7\)/);
+  const q = payload.questions[0];
+  assert.ok(text.includes(`✓ ${q.options[core.unsealQuestion(q, MAC).correct]}`));
+  assert.match(text, /picked by OPENTDB from \d+ of \d+ eligible \(dropped: .*banned pattern/);
+  assert.match(gen.renderPreview(payload, null, MAC), /read back from the archive/);
+});
+
+test('pools, curated days and days built ahead are kept off the site', () => {
+  const root = path.join(__dirname, '..');
+  const hidden = fs.readFileSync(path.join(root, '_redirects'), 'utf8').split('\n')
+    .map(l => l.trim().split(/\s+/)).filter(r => r[0] && !r[0].startsWith('#') && r[2] === '404!').map(r => r[0].replace(/\*$/, ''));
+  for (const dir of [...gen.poolDirs(), ...gen.poolDirs('es'), path.join(root, 'curated'), path.join(root, 'upcoming')]) {
+    const url = `/${path.relative(root, dir)}/`;
+    assert.ok(hidden.some(h => url.startsWith(h)), url);
+  }
+});
+
+test('the CLI queues days ahead in upcoming/, out of the archive, and publishes each on its day', () => {
+  const { execFileSync } = require('child_process');
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'df-cli-'));
+  const cli = args => execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'generate-daily.cjs'), ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+  cli(['--source', 'LOCAL_FALLBACK', '--date', '20991230', '--days', '2', '--out', out]);
+  assert.ok(fs.existsSync(path.join(out, 'upcoming', '20991230.json')));
+  assert.ok(fs.existsSync(path.join(out, 'upcoming', '20991231.json')));
+  assert.ok(fs.existsSync(path.join(out, 'quality', '20991231.json')));
+  assert.ok(!fs.existsSync(path.join(out, 'archive')), 'not in the archive or its index before their day');
+  assert.ok(!fs.existsSync(path.join(out, 'daily.json')), 'future days are not published yet');
+  const used = JSON.parse(fs.readFileSync(path.join(out, 'used.json'), 'utf8'));
+  assert.equal(used.seen.length, 10);
+
+  const dry = cli(['--dry-run', '--date', '20991230', '--out', out]);
+  assert.match(dry, /Using the set already in upcoming\/20991230\.json/);
+  assert.match(dry, /Dry run — nothing written/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(out, 'used.json'), 'utf8')), used);
+
+  // Come the day, the queued set is the one published
+  const today = gen.yyyymmdd();
+  const queued = JSON.parse(fs.readFileSync(path.join(out, 'upcoming', '20991230.json'), 'utf8'));
+  fs.writeFileSync(path.join(out, 'upcoming', `${today}.json`), JSON.stringify({ ...queued, day: today }));
+  assert.match(cli(['--date', today, '--out', out]), new RegExp(`Using the set already in upcoming/${today}\\.json`));
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(out, 'daily.json'), 'utf8')).questions, queued.questions);
+  assert.ok(fs.existsSync(path.join(out, 'archive', `${today}.json`)));
+  assert.deepEqual(Object.values(JSON.parse(fs.readFileSync(path.join(out, 'archive', 'index.json'), 'utf8')).days).map(d => d.day), [today]);
+  assert.ok(!fs.existsSync(path.join(out, 'upcoming', `${today}.json`)), 'moved, not copied');
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(out, 'used.json'), 'utf8')), used, 'already in the ledger since it was built');
+});
+
+test('the CLI reads the repo\'s blocklist, not one under --out', () => {
+  const { execFileSync } = require('child_process');
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'df-cli-'));
+  assert.equal(gen.BLOCKLIST, path.join(__dirname, '..', 'blocklist.json'));
+  fs.writeFileSync(path.join(out, 'blocklist.json'), JSON.stringify({ blocked: [{ key: 'a' }, { key: 'b' }, { key: 'c' }] }));
+  const log = execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'generate-daily.cjs'), '--dry-run', '--source', 'LOCAL_FALLBACK', '--date', '20991230', '--out', out],
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  const n = gen.loadBlocklist().size;
+  if (n) assert.match(log, new RegExp(`Blocklist: ${n} question`));
+  else assert.doesNotMatch(log, /Blocklist:/);
+});
+
+test('the CLI keeps a locale\'s daily, ledger and archive apart from English', () => {
+  const { execFileSync } = require('child_process');
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'df-cli-'));
+  const today = gen.yyyymmdd();
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'generate-daily.cjs'), '--locale', 'es', '--date', today, '--out', out],
+    { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+  const daily = JSON.parse(fs.readFileSync(path.join(out, 'daily.es.json'), 'utf8'));
+  assert.equal(daily.locale, 'es');
+  assert.equal(daily.source, 'LOCAL_FALLBACK');
+  assert.ok(fs.existsSync(path.join(out, 'archive', 'es', `${today}.json`)));
+  assert.ok(fs.existsSync(path.join(out, 'quality', 'es', `${today}.json`)));
+  assert.equal(JSON.parse(fs.readFileSync(path.join(out, 'used.es.json'), 'utf8')).seen.length, 5);
+  assert.ok(!fs.existsSync(path.join(out, 'daily.json')) && !fs.existsSync(path.join(out, 'used.json')), 'English files untouched');
+});
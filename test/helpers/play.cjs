@@ -0,0 +1,49 @@
+/**
+ * The fixture the /api/play, /api/stats and /api/leagues tests share: publish
+ * the repo's set sealed as the generator writes it, then play it through
+ * /api/play as index.html does. DF_BLOBS_DIR and DF_SITE_DIR are read at each
+ * call, so a test that swaps in fresh blobs (and with them a new key) gets a
+ * set sealed with that key.
+ */
+const fs   = require('fs');
+const path = require('path');
+
+const core = require('../../daily-core.js');
+const { playSecret, answerMac } = require('../../netlify/lib/seal.cjs');
+
+const DAILY = require('../../daily.json');
+
+/** Publishes the set for `day` under archive/[<locale>/] and returns its questions as /api/play opens them. */
+function publish(day, locale = 'en') {
+  const mac = answerMac(playSecret());
+  const dir = path.join(process.env.DF_SITE_DIR, 'archive', locale === 'en' ? '' : locale);
+  const questions = DAILY.questions.map((q, i) => core.sealQuestion(q, `salt${i}`, mac));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${day}.json`), JSON.stringify({ ...DAILY, day, questions }));
+  return core.prepQs({ day, questions }).map(q => core.unsealQuestion(q, mac));
+}
+
+/** POSTs `body` to the function in netlify/functions/<name>.mjs. */
+async function post(name, body) {
+  const { default: handler } = await import(`../../netlify/functions/${name}.mjs`);
+  const res = await handler(new Request(`http://x/api/${name}`, { method: 'POST', body: JSON.stringify(body) }));
+  return { status: res.status, body: await res.json() };
+}
+
+/**
+ * Publishes and plays `day` through /api/play — 'good' picks the answer, 'bad'
+ * another option, 'skip' lets the clock run out — and resolves with the stats
+ * submission for it: { cid, day, locale, correct, score, results, ticket }.
+ */
+async function playDay({ cid = 'client-aaaaaaaa', day, locale, results = ['good', 'good', 'bad', 'good', 'skip'], ms = 2000 }) {
+  const qs = publish(day, locale);
+  const log = results.map((r, i) => {
+    const right = core.answerIndex(qs[i]);
+    return r === 'skip' ? { a: -1, ms: 12000 } : { a: r === 'good' ? right : (right + 1) % 4, ms };
+  });
+  let { body: { ticket } } = await post('play', { cid, day, locale });
+  for (const e of log) ({ body: { ticket } } = await post('play', { ticket, ...e }));
+  return { cid, day, locale, ...core.replayLog(qs, log), ticket };
+}
+
+module.exports = { publish, post, playDay };
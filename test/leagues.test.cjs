@@ -0,0 +1,200 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const core = require('../daily-core.js');
+const { publish, post: postTo, playDay } = require('./helpers/play.cjs');
+
+process.env.DF_BLOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'df-leagues-'));
+process.env.DF_SITE_DIR  = fs.mkdtempSync(path.join(os.tmpdir(), 'df-site-'));
+const lib  = () => import('../netlify/lib/leagues.mjs');
+const load = () => import('../netlify/functions/leagues.mjs');
+const TODAY = core.etDay();
+
+const call = async (method, body, query = '') => {
+  const { default: handler } = await load();
+  const res = await handler(new Request(`http://x/api/leagues${query}`, { method, body: body && JSON.stringify(body) }));
+  return { status: res.status, body: await res.json() };
+};
+
+// Plays `day` through /api/play + /api/stats, as a timed game in index.html does
+async function verified({ cid, day = TODAY, locale, results }) {
+  const g = await playDay({ cid, day, locale, results, ms: 3000 });
+  const res = await postTo('stats', g);
+  assert.equal(res.status, 200, res.body.error);
+  return g;
+}
+
+// ─── Scoring ─────────────────────────────────────────────────────────────────
+test('cleanName trims names and refuses empty, long or control-character ones', async () => {
+  const { cleanName } = await lib();
+  assert.equal(cleanName('  The   Office ', 40), 'The Office');
+  assert.equal(cleanName('   ', 40), null);
+  assert.equal(cleanName('x'.repeat(21), 20), null);
+  assert.equal(cleanName('🦊'.repeat(20), 20), '🦊'.repeat(20), 'counted in characters, not UTF-16 units');
+  assert.equal(cleanName('a\nb', 20), null);
+  assert.equal(cleanName(7, 20), null);
+});
+
+test('addGame keeps totals and a streak, and counts each day once from the day you joined', async () => {
+  const { newMember, addGame } = await lib();
+  const m = newMember('Ana', '20260310');
+  assert.equal(addGame(m, '20260309', { score: 500, correct: 5 }), false, 'before joining');
+  assert.equal(addGame(m, '20260310', { score: 300, correct: 2 }), true);
+  assert.equal(addGame(m, '20260310', { score: 800, correct: 5 }), false, 'same day again');
+  addGame(m, '20260311', { score: 400, correct: 3 });
+  addGame(m, '20260313', { score: 100, correct: 1 });
+  assert.deepEqual(m, { name: 'Ana', since: '20260310', total: 800, played: 3, correct: 6, streak: 1, best: 2, last: '20260313' });
+});
+
+test('leagueView ranks the day and all time, ties sharing a place, and drops broken streaks', async () => {
+  const { newMember, addGame, leagueView } = await lib();
+  const a = newMember('Ana', '20260310'), b = newMember('Ben', '20260310'), c = newMember('Cy', '20260310');
+  addGame(a, '20260310', { score: 500, correct: 4 });
+  addGame(a, '20260311', { score: 300, correct: 2 });
+  addGame(b, '20260311', { score: 300, correct: 2 });
+  const league = { name: 'Office', locale: 'en', created: '20260310', members: { a, b, c } };
+  const v = leagueView(league, { a: { score: 300, correct: 2 }, b: { score: 300, correct: 2 } }, 'b', '20260311');
+  assert.deepEqual(v.today, [
+    { rank: 1, name: 'Ana', score: 300, correct: 2 },
+    { rank: 1, name: 'Ben', score: 300, correct: 2, you: true },
+  ]);
+  assert.deepEqual(v.all.map(r => [r.rank, r.name, r.total, r.streak]), [[1, 'Ana', 800, 2], [2, 'Ben', 300, 1], [3, 'Cy', 0, 0]]);
+  assert.equal(v.members, 3);
+  assert.equal(leagueView(league, {}, 'a', '20260313').all[0].streak, 0, 'missed a day');
+});
+
+// ─── API ─────────────────────────────────────────────────────────────────────
+test('create, join by code and see verified games on both leaderboards', async () => {
+  const made = await call('POST', { cid: 'league-ana-01', name: 'The Office', player: 'Ana' });
+  assert.equal(made.status, 201);
+  const { code } = made.body;
+  assert.match(code, /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+  assert.equal(made.body.league.name, 'The Office');
+  assert.equal(made.body.league.locale, 'en');
+
+  const joined = await call('PUT', { cid: 'league-ben-01', code: code.toLowerCase().replace('-', ' '), player: 'Ben' });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.league.members, 2);
+
+  const ana = await verified({ cid: 'league-ana-01', results: ['good', 'good', 'good', 'good', 'bad'] });
+  const ben = await verified({ cid: 'league-ben-01', results: ['good', 'bad', 'skip', 'good', 'bad'] });
+  const { body } = await call('GET', null, `?code=${code}&cid=league-ben-01`);
+  assert.deepEqual(body.league.today, [
+    { rank: 1, name: 'Ana', score: ana.score, correct: 4 },
+    { rank: 2, name: 'Ben', score: ben.score, correct: 2, you: true },
+  ]);
+  assert.deepEqual(body.league.all.map(r => [r.name, r.total, r.played, r.streak]), [['Ana', ana.score, 1, 1], ['Ben', ben.score, 1, 1]]);
+
+  const renamed = await call('PUT', { cid: 'league-ben-01', code, player: 'Benji' });
+  assert.equal(renamed.body.league.members, 2, 'joining again only renames');
+  assert.equal(renamed.body.league.all[1].name, 'Benji');
+  assert.equal(renamed.body.league.all[1].total, ben.score);
+});
+
+test('joining after playing counts today, but only games in the league\'s locale', async () => {
+  const fr = await call('POST', { cid: 'league-cy-01', name: 'Le Bureau', player: 'Cy', locale: 'fr' });
+  const played = await verified({ cid: 'league-dee-01', results: ['good', 'good', 'bad', 'bad', 'bad'] });
+  const en = await call('POST', { cid: 'league-eve-01', name: 'Quiz night', player: 'Eve' });
+
+  const late = await call('PUT', { cid: 'league-dee-01', code: en.body.code, player: 'Dee' });
+  assert.deepEqual(late.body.league.today, [{ rank: 1, name: 'Dee', score: played.score, correct: 2, you: true }]);
+
+  const other = await call('PUT', { cid: 'league-dee-01', code: fr.body.code, player: 'Dee' });
+  assert.deepEqual(other.body.league.today, [], 'an English game does not count in a French league');
+  await verified({ cid: 'league-cy-01', locale: 'fr', results: ['good', 'good', 'good', 'good', 'good'] });
+  const { body } = await call('GET', null, `?code=${fr.body.code}`);
+  assert.deepEqual(body.league.today.map(r => r.name), ['Cy']);
+  assert.equal(body.league.today[0].you, undefined, 'no cid, no "you"');
+});
+
+test('a forked, resumed or second game never reaches the boards', async () => {
+  const { body: { code } } = await call('POST', { cid: 'league-max-01', name: 'Top spot', player: 'Max' });
+  const qs = publish(TODAY);
+  const play = body => postTo('play', body);
+  let { body: { ticket } } = await play({ cid: 'league-max-01', day: TODAY });
+  const perfect = qs.map(q => ({ a: q.correct, ms: 0 }));
+  for (const [i, e] of perfect.entries()) {
+    const scout = await play({ ticket, a: (e.a + 1) % 4, ms: 3000 });
+    assert.equal(scout.body.correct, e.a);
+    assert.equal((await play({ ticket, ...e })).status, 409, `fork at ${i}`);
+    assert.equal((await play({ ticket, resume: true })).status, 409, `resume at ${i}`);
+    ticket = scout.body.ticket;
+  }
+  const forged = await postTo('stats', { cid: 'league-max-01', day: TODAY, ...core.replayLog(qs, perfect), ticket });
+  assert.equal(forged.status, 400);
+
+  ({ body: { ticket } } = await play({ cid: 'league-max-01', day: TODAY }));
+  for (const e of perfect) ({ body: { ticket } } = await play({ ticket, ...e, ms: 2000 }));
+  const second = await postTo('stats', { cid: 'league-max-01', day: TODAY, ...core.replayLog(qs, perfect.map(e => ({ ...e, ms: 2000 }))), ticket });
+  assert.equal(second.status, 400);
+  assert.match(second.body.error, /first game of the day/);
+
+  const { body } = await call('GET', null, `?code=${code}`);
+  assert.deepEqual(body.league.today, []);
+  assert.equal(body.league.all[0].played, 0);
+});
+
+test('only a game of the day being played reaches the boards', async () => {
+  const { recordGame } = await lib();
+  const { openStore } = await import('../netlify/lib/store.mjs');
+  const { body: { code } } = await call('POST', { cid: 'league-hal-01', name: 'Night shift', player: 'Hal' });
+  const id = (await import('../netlify/lib/http.mjs')).clientKey('league-hal-01');
+  for (const day of [core.addDays(TODAY, -3), core.addDays(TODAY, 1)]) {
+    await recordGame(openStore('leagues'), id, day, 'en', { score: 725, correct: 5 });
+    const { body } = await call('GET', null, `?code=${code}&day=${day}`);
+    assert.deepEqual(body.league.today, [], day);
+    assert.equal(body.league.all[0].played, 0, day);
+  }
+  await recordGame(openStore('leagues'), id, TODAY, 'en', { score: 300, correct: 2 });
+  assert.equal((await call('GET', null, `?code=${code}`)).body.league.all[0].total, 300);
+});
+
+test('bad input, unknown codes and leaving', async () => {
+  assert.equal((await call('POST', { cid: 'league-fay-01', name: ' ', player: 'Fay' })).status, 400);
+  assert.equal((await call('POST', { cid: 'league-fay-01', name: 'Fam', player: '' })).status, 400);
+  assert.equal((await call('POST', { cid: 'league-fay-01', name: 'Fam', player: 'Fay', locale: 'de' })).status, 400);
+  assert.equal((await call('POST', { name: 'Fam', player: 'Fay' })).status, 400);
+  assert.equal((await call('GET', null, '?code=nope')).status, 400);
+  assert.equal((await call('GET', null, '?code=AAAA-BBBB')).status, 404);
+  assert.equal((await call('PUT', { cid: 'league-fay-01', code: 'AAAA-BBBB', player: 'Fay' })).status, 404);
+
+  const { body: { code } } = await call('POST', { cid: 'league-fay-01', name: 'Fam', player: 'Fay' });
+  await call('PUT', { cid: 'league-gus-01', code, player: 'Gus' });
+  assert.deepEqual((await call('DELETE', { cid: 'league-gus-01', code })).body, { left: true });
+  assert.deepEqual((await call('GET', null, `?code=${code}`)).body.league.all.map(r => r.name), ['Fay']);
+  await call('DELETE', { cid: 'league-fay-01', code });
+  assert.equal((await call('GET', null, `?code=${code}`)).status, 404, 'the last one out closes the league');
+});
+
+test('boards for several leagues come in one GET, with the codes that are gone', async () => {
+  const a = (await call('POST', { cid: 'league-ivy-01', name: 'Book club', player: 'Ivy' })).body.code;
+  const b = (await call('POST', { cid: 'league-ivy-01', name: 'Choir', player: 'Ivy' })).body.code;
+  const { status, body } = await call('GET', null, `?codes=${a},${b.toLowerCase()},AAAA-BBBB,${a}&cid=league-ivy-01`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.leagues.map(r => [r.code, r.league.name, r.league.all[0].you]), [[a, 'Book club', true], [b, 'Choir', true]]);
+  assert.deepEqual(body.missing, ['AAAA-BBBB']);
+
+  const { MAX_LEAGUES } = await lib();
+  const many = Array.from({ length: MAX_LEAGUES + 1 }, (_, i) => `AAAA-${'BCDEFGHJKLMN'[i]}BBB`).join(',');
+  assert.equal((await call('GET', null, `?codes=${many}`)).status, 400);
+  assert.equal((await call('GET', null, '?codes=nope')).status, 400);
+});
+
+test('only writes are rate limited, per client, and reading the boards writes nothing', async () => {
+  const { LIMIT } = await load();
+  const { code } = (await call('POST', { cid: 'league-jo-01', name: 'Gym', player: 'Jo' })).body;
+  const dir = path.join(process.env.DF_BLOBS_DIR, 'leagues');
+  const blobs = () => fs.readdirSync(dir).map(f => `${f}@${fs.statSync(path.join(dir, f)).mtimeMs}`).sort();
+  const before = blobs();
+  for (let i = 0; i < 3; i++) assert.equal((await call('GET', null, `?codes=${code}&cid=league-jo-01`)).status, 200);
+  assert.deepEqual(blobs(), before, 'a GET writes no blob');
+
+  for (let i = 1; i < LIMIT.max; i++) assert.equal((await call('DELETE', { cid: 'league-kim-01', code: 'AAAA-BBBB' })).status, 404);
+  assert.equal((await call('DELETE', { cid: 'league-kim-01', code: 'AAAA-BBBB' })).status, 404);
+  assert.equal((await call('PUT', { cid: 'league-kim-01', code, player: 'Kim' })).status, 429);
+  assert.equal((await call('PUT', { cid: 'league-lou-01', code, player: 'Lou' })).status, 200, 'another client is not held back');
+  assert.equal((await call('GET', null, `?code=${code}`)).status, 200, 'nor is reading');
+});
@@ -0,0 +1,243 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const core = require('../daily-core.js');
+const { answerMac } = require('../netlify/lib/seal.cjs');
+const { publish, post } = require('./helpers/play.cjs');
+const DAILY = require('../daily.json');
+
+process.env.DF_BLOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'df-play-'));
+process.env.DF_SITE_DIR  = fs.mkdtempSync(path.join(os.tmpdir(), 'df-site-'));
+const TODAY = core.etDay();
+const lib = () => import('../netlify/lib/play.mjs');
+const api = body => post('play', body);
+const get = async (query) => {
+  const { default: handler } = await import('../netlify/functions/play.mjs');
+  const res = await handler(new Request(`http://x/api/play${query}`));
+  return { status: res.status, body: await res.json() };
+};
+const payloadOf = ticket => JSON.parse(Buffer.from(ticket.split('.')[0], 'base64url'));
+
+// ─── Tickets ─────────────────────────────────────────────────────────────────
+test('tickets only open with the key that signed them', async () => {
+  const { signTicket, openTicket, playSecret } = await lib();
+  const t = { day: '20260314', locale: 'en', cid: 'abc', at: [1], log: [] };
+  const ticket = signTicket(t, 'k1');
+  assert.deepEqual(openTicket(ticket, 'k1'), t);
+  assert.equal(openTicket(ticket, 'k2'), null);
+  const [body, sig] = ticket.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...t, log: [{ a: 0, ms: 1 }] })).toString('base64url');
+  assert.equal(openTicket(`${forged}.${sig}`, 'k1'), null);
+  assert.equal(openTicket(body, 'k1'), null);
+  assert.equal(playSecret({}), null, 'no secret, no signing');
+  assert.equal(playSecret(), playSecret(), 'the local secret is kept');
+});
+
+test('checkAnswer refuses answers that are out of range or one too many', async () => {
+  const { checkAnswer } = await lib();
+  const t = { at: [0], log: [] };
+  assert.equal(checkAnswer(t, { a: 2, ms: 3000 }), null);
+  assert.equal(checkAnswer(t, { a: -1, ms: 12000 }), null);
+  assert.match(checkAnswer(t, { a: 4, ms: 10 }), /option index/);
+  assert.match(checkAnswer(t, { a: 0, ms: 12001 }), /ms must be/);
+  assert.match(checkAnswer({ at: [0, 1, 2, 3, 4, 5], log: Array(5).fill({ a: 0, ms: 1 }) }, { a: 0, ms: 1 }), /already in/);
+});
+
+test('isLate flags answers that claim less time than the server saw go by', async () => {
+  const { isLate, REVEAL_MS, SLACK_MS } = await lib();
+  const t = { at: [0], log: [] };
+  assert.equal(isLate(t, { a: 2, ms: 3000 }, 3200), false);
+  assert.equal(isLate(t, { a: 1, ms: 1000 }, 1000 + SLACK_MS + 1), true);
+  assert.equal(isLate(t, { a: -1, ms: 12000 }, 60_000), false, 'running out the clock');
+  const later = { at: [0, 4000], log: [{ a: 0, ms: 3900 }] };
+  assert.equal(isLate(later, { a: 0, ms: 2000 }, 4000 + REVEAL_MS + 2000 + SLACK_MS), false, 'the reveal is not counted against the answer');
+});
+
+test('isLiveDay is today, or yesterday until the grace is up and today\'s set is out', async () => {
+  const { isLiveDay, GRACE_MS } = await lib();
+  const midnight = Date.parse('2026-03-15T04:00:00Z');    // 00:00 ET (EDT)
+  assert.equal(await isLiveDay('20260315', 'en', midnight + 1000), true);
+  assert.equal(await isLiveDay('20260316', 'en', midnight + 1000), false, 'tomorrow');
+  assert.equal(await isLiveDay('20260313', 'en', midnight + 1000), false, 'two days ago');
+  assert.equal(await isLiveDay('20260314', 'en', midnight + GRACE_MS - 1000), true, 'a game running over midnight');
+  assert.equal(await isLiveDay('20260314', 'en', midnight + GRACE_MS + 1000), true, 'today\'s set is not out yet');
+  fs.mkdirSync(path.join(process.env.DF_SITE_DIR, 'archive'), { recursive: true });
+  fs.writeFileSync(path.join(process.env.DF_SITE_DIR, 'archive', '20260315.json'), JSON.stringify({ ...require('../daily.json'), day: '20260315' }));
+  assert.equal(await isLiveDay('20260314', 'en', midnight + GRACE_MS + 1000), false);
+  assert.equal(await isLiveDay('20260314', 'es', midnight + GRACE_MS + 1000), true, 'each locale publishes on its own');
+});
+
+// ─── Endpoint ────────────────────────────────────────────────────────────────
+test('a game collects one signed step per answer, in order, each revealing the right option', async () => {
+  const qs = await publish(TODAY, 'es');
+  const start = await api({ cid: 'client-aaaaaaaa', day: TODAY, locale: 'es' });
+  assert.equal(start.status, 200);
+  let { ticket } = start.body;
+  assert.deepEqual(payloadOf(ticket).log, []);
+  const answers = [{ a: 0, ms: 900 }, { a: 3, ms: 1200 }, { a: -1, ms: 12000 }, { a: 1, ms: 400 }, { a: 2, ms: 2500 }];
+  for (const [i, e] of answers.entries()) {
+    const r = await api({ ticket, ...e });
+    assert.equal(r.body.n, i + 1);
+    assert.equal(r.body.correct, qs[i].correct);
+    ticket = r.body.ticket;
+  }
+  const t = payloadOf(ticket);
+  assert.deepEqual(t.log, answers);
+  assert.equal(t.locale, 'es');
+  assert.equal(t.at.length, 6);
+  assert.equal((await api({ ticket, a: 0, ms: 100 })).status, 400, 'no sixth answer');
+});
+
+test('an answer after time away marks the ticket late, unless the game resumed first', async () => {
+  await publish(TODAY);
+  const { signTicket, openTicket, playSecret } = await lib();
+  const away = async () => {
+    const { ticket } = (await api({ cid: 'client-away-0001', day: TODAY })).body;
+    return signTicket({ ...openTicket(ticket, playSecret()), at: [Date.now() - 60_000] }, playSecret());
+  };
+  const late = await api({ ticket: await away(), a: 1, ms: 2000 });
+  assert.equal(late.status, 200, 'still logged');
+  assert.equal(late.body.late, true);
+  assert.equal(payloadOf(late.body.ticket).late, true);
+  const next = await api({ ticket: late.body.ticket, a: 0, ms: 2000 });
+  assert.equal(next.body.late, true, 'a late ticket stays late');
+
+  const resumed = await api({ ticket: await away(), resume: true });
+  assert.equal(resumed.body.n, 0);
+  const onTime = await api({ ticket: resumed.body.ticket, a: 1, ms: 2000 });
+  assert.equal(onTime.body.late, undefined);
+  assert.equal(payloadOf(onTime.body.ticket).late, undefined);
+});
+
+test('a ticket is answered once: the fork that would learn the answer first is refused', async () => {
+  const qs = await publish(TODAY);
+  const { ticket } = (await api({ cid: 'client-fork-0001', day: TODAY })).body;
+  const wrong = (qs[0].correct + 1) % 4;
+  const first = await api({ ticket, a: wrong, ms: 2000 });
+  assert.equal(first.body.correct, qs[0].correct);
+  const fork = await api({ ticket, a: qs[0].correct, ms: 0 });
+  assert.equal(fork.status, 409);
+  assert.match(fork.body.error, /already been answered/);
+
+  const again = await api({ ticket, a: wrong, ms: 2000 });
+  assert.equal(again.status, 200, 'the same answer resent gets its reply back');
+  assert.deepEqual(again.body, first.body);
+  assert.equal((await api({ ticket: first.body.ticket, a: 0, ms: 2000 })).body.n, 2, 'the game carries on from the newest ticket');
+});
+
+test('resume cannot restart the clock on a question already answered', async () => {
+  const qs = await publish(TODAY);
+  const { ticket } = (await api({ cid: 'client-fork-0002', day: TODAY })).body;
+  const first = await api({ ticket, a: qs[0].correct, ms: 2000 });
+  const rewound = await api({ ticket, resume: true });
+  assert.equal(rewound.status, 409);
+  assert.equal((await api({ ticket: first.body.ticket, resume: true })).body.n, 1, 'the question going up next can be resumed');
+});
+
+test('only the newest ticket of the client\'s first game of the day verifies', async () => {
+  const { verifyPlay } = await lib();
+  const { openStore } = await import('../netlify/lib/store.mjs');
+  const { clientKey } = await import('../netlify/lib/http.mjs');
+  const qs = await publish(TODAY);
+  const play = async (cid, log) => {
+    let { ticket } = (await api({ cid, day: TODAY })).body;
+    for (const e of log) ({ ticket } = (await api({ ticket, ...e })).body);
+    return ticket;
+  };
+  const right = qs.map(q => ({ a: q.correct, ms: 2000 }));
+  const verify = (cid, ticket, log) => verifyPlay({ day: TODAY, locale: 'en', ticket, ...core.replayLog(qs, log) }, clientKey(cid), { store: openStore('play') });
+
+  const scout = right.map(e => ({ ...e, a: (e.a + 1) % 4 }));
+  const firstGame = await play('client-twice-001', scout);
+  const secondGame = await play('client-twice-001', right);
+  assert.deepEqual(await verify('client-twice-001', secondGame, right), { status: 400, error: 'only the first game of the day is counted' });
+  assert.ok((await verify('client-twice-001', firstGame, scout)).played);
+});
+
+test('bad starts and doctored tickets get a 400', async () => {
+  await publish(TODAY);
+  assert.equal((await api({ day: TODAY })).status, 400);
+  assert.equal((await api({ cid: 'client-aaaaaaaa', day: '2026-03-14' })).status, 400);
+  assert.equal((await api({ cid: 'client-aaaaaaaa', day: TODAY, locale: 'de' })).status, 400);
+  const { ticket } = (await api({ cid: 'client-aaaaaaaa', day: TODAY })).body;
+  const [, sig] = ticket.split('.');
+  const other = Buffer.from(JSON.stringify({ ...payloadOf(ticket), day: core.addDays(TODAY, -1) })).toString('base64url');
+  assert.match((await api({ ticket: `${other}.${sig}`, a: 0, ms: 100 })).body.error, /not valid/);
+});
+
+test('only the set being played today can be started', async () => {
+  for (const day of [core.addDays(TODAY, -2), core.addDays(TODAY, 1), '20250101']) {
+    const r = await api({ cid: 'client-aaaaaaaa', day });
+    assert.equal(r.status, 400, day);
+    assert.match(r.body.error, /not being played now/);
+  }
+});
+
+test('a set that is not published, or sealed with another key, cannot be started', async () => {
+  const { openSet } = await lib();
+  assert.equal((await api({ cid: 'client-aaaaaaaa', day: TODAY, locale: 'fr' })).status, 404);
+  const mac = answerMac('another key');
+  const dir = path.join(process.env.DF_SITE_DIR, 'archive', 'fr');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${TODAY}.json`), JSON.stringify({ ...DAILY, day: TODAY, questions: DAILY.questions.map((q, i) => core.sealQuestion(q, `s${i}`, mac)) }));
+  const quiet = console.error;
+  console.error = () => {};
+  try {
+    assert.equal(await openSet(TODAY, 'fr'), null);
+  } finally {
+    console.error = quiet;
+  }
+});
+
+test('relaxed games are signed without the timing check, and never verify', async () => {
+  const { signTicket, playSecret, verifyPlay } = await lib();
+  const qs = await publish(TODAY);
+  const start = await api({ cid: 'client-aaaaaaaa', day: TODAY, relaxed: true });
+  assert.equal(payloadOf(start.body.ticket).relaxed, true);
+  const t = { ...payloadOf(start.body.ticket), at: [Date.now() - 60_000] };
+  let ticket = signTicket(t, playSecret());
+  const log = qs.map(q => ({ a: q.correct, ms: 1000 }));
+  for (const e of log) {
+    const r = await api({ ticket, ...e });
+    assert.equal(r.body.late, undefined, 'a relaxed game has all the time it wants');
+    ticket = r.body.ticket;
+  }
+  const { clientKey } = await import('../netlify/lib/http.mjs');
+  const res = await verifyPlay({ day: TODAY, locale: 'en', ticket, ...core.replayLog(qs, log) }, clientKey('client-aaaaaaaa'));
+  assert.deepEqual(res, { status: 400, error: 'relaxed games are not counted' });
+});
+
+test('a game played offline is sent in untimed once back online, and never verifies', async () => {
+  const { verifyPlay } = await lib();
+  const { openStore } = await import('../netlify/lib/store.mjs');
+  const { clientKey } = await import('../netlify/lib/http.mjs');
+  const qs = await publish(TODAY);
+  const start = await api({ cid: 'client-offline-01', day: TODAY, offline: true });
+  assert.equal(payloadOf(start.body.ticket).offline, true);
+  let { ticket } = start.body;
+  const log = qs.map(q => ({ a: q.correct, ms: 1000 }));
+  for (const [i, e] of log.entries()) {
+    const r = await api({ ticket, ...e });
+    assert.equal(r.body.correct, qs[i].correct);
+    assert.equal(r.body.late, undefined);
+    ticket = r.body.ticket;
+  }
+  const res = await verifyPlay({ day: TODAY, locale: 'en', ticket, ...core.replayLog(qs, log) }, clientKey('client-offline-01'), { store: openStore('play') });
+  assert.deepEqual(res, { status: 400, error: 'games played offline are not counted' });
+});
+
+test('a day\'s answers are only handed out once it is over', async () => {
+  const past = core.addDays(TODAY, -3);
+  const qs = await publish(past);
+  const r = await get(`?day=${past}`);
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body, { day: past, locale: 'en', answers: qs.map(q => q.correct) });
+  await publish(TODAY);
+  assert.equal((await get(`?day=${TODAY}`)).status, 403);
+  assert.equal((await get(`?day=${core.addDays(TODAY, 1)}`)).status, 403);
+  assert.equal((await get(`?day=${core.addDays(TODAY, -5)}&locale=es`)).status, 404);
+  assert.equal((await get('?day=today')).status, 400);
+});
@@ -0,0 +1,163 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs     = require('fs');
+const http   = require('http');
+const os     = require('os');
+const path   = require('path');
+const ece    = require('http_ece');
+
+process.env.DF_BLOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'df-push-'));
+const lib    = () => import('../netlify/lib/push.mjs');
+const sender = () => import('../netlify/functions/push-send.mjs');
+const load   = () => import('../netlify/functions/push.mjs');
+const api    = async (method, body, ip = '10.0.0.1') => {
+  const { default: handler } = await load();
+  const res = await handler(new Request('http://x/api/push', { method, body: body && JSON.stringify(body) }), { ip });
+  return { status: res.status, body: await res.json() };
+};
+
+// ─── Local push-service stand-in ─────────────────────────────────────────────
+// Accepts pushes like FCM/Mozilla autopush would; /gone/* answers 410 like an expired subscription.
+function pushService() {
+  const got = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      got.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(req.url.startsWith('/gone/') ? 410 : 201);
+      res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    got, url: `http://127.0.0.1:${server.address().port}`, close: () => server.close(),
+  })));
+}
+
+// A browser-side subscription: its own P-256 key pair + auth secret, so pushes can be decrypted.
+function browser(endpoint) {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+  return {
+    subscription: { endpoint, keys: { p256dh: ecdh.getPublicKey('base64url'), auth: auth.toString('base64url') } },
+    read: body => JSON.parse(ece.decrypt(body, { version: 'aes128gcm', privateKey: ecdh, authSecret: auth.toString('base64url') }).toString()),
+  };
+}
+
+const at = iso => new Date(iso);
+
+// ─── Messages ────────────────────────────────────────────────────────────────
+test('reminders only go to live streaks that have not played today', async () => {
+  const { reminderFor } = await lib();
+  assert.match(reminderFor({ streak: 4, lastDay: '20260313' }, '20260314').title, /4-day streak ends at midnight ET/);
+  assert.equal(reminderFor({ streak: 4, lastDay: '20260314' }, '20260314'), null, 'already played');
+  assert.equal(reminderFor({ streak: 4, lastDay: '20260312' }, '20260314'), null, 'streak already broken');
+  assert.equal(reminderFor({ streak: 0, lastDay: '' }, '20260314'), null);
+  assert.equal(reminderFor({ streak: 2, lastDay: '20260228' }, '20260301') !== null, true, 'month boundary');
+  assert.match(reminderFor({ streak: 4, lastDay: '20260313', locale: 'es' }, '20260314').title, /racha de 4 días/);
+});
+
+test('etHour follows ET across DST', async () => {
+  const { etHour } = await lib();
+  assert.equal(etHour(at('2026-01-15T01:00:00Z')), 20);
+  assert.equal(etHour(at('2026-07-14T00:00:00Z')), 20);
+});
+
+// ─── Subscriptions ───────────────────────────────────────────────────────────
+test('the API hands out a key and rejects junk subscriptions', async () => {
+  const key = await api('GET');
+  assert.equal(key.status, 200);
+  assert.match(key.body.publicKey, /^[\w-]{80,}$/);
+  assert.equal((await api('POST', { subscription: { endpoint: 'ftp://nope' } })).status, 400);
+  assert.equal((await api('POST', browser('http://evil.example/x'))).status, 400, 'plain http only for localhost');
+});
+
+test('subscribing is rate limited per IP, size capped and bounded in number', async () => {
+  const { LIMIT, MAX_BODY } = await load();
+  for (let i = 0; i < LIMIT.max; i++) await api('DELETE', { endpoint: `http://localhost:9/rl/${i}` }, '10.9.9.9');
+  assert.equal((await api('POST', browser('http://localhost:9/rl/x'), '10.9.9.9')).status, 429);
+  assert.equal((await api('POST', browser('http://localhost:9/rl/x'), '10.9.9.10')).status, 200, 'other IPs are not held up');
+
+  const padded = { ...browser('http://localhost:9/big'), pad: 'x'.repeat(MAX_BODY) };
+  assert.equal((await api('POST', padded, '10.9.9.11')).status, 400);
+  const { default: handler } = await load();
+  const sized = new Request('http://x/api/push', { method: 'POST', headers: { 'Content-Length': String(MAX_BODY + 1) }, body: JSON.stringify(padded) });
+  assert.equal((await handler(sized, { ip: '10.9.9.11' })).status, 413);
+
+  const { openStore } = await import('../netlify/lib/store.mjs');
+  const { blobs } = await openStore('push').list({ prefix: 'sub/' });
+  process.env.PUSH_MAX_SUBSCRIPTIONS = String(blobs.length);
+  try {
+    const full = await api('POST', browser('http://localhost:9/one-too-many'), '10.9.9.12');
+    assert.equal(full.status, 503);
+    assert.equal((await api('POST', { ...browser('http://localhost:9/rl/x'), streak: 2 }, '10.9.9.12')).status, 200, 'known endpoints still refresh');
+  } finally {
+    delete process.env.PUSH_MAX_SUBSCRIPTIONS;
+    await api('DELETE', { endpoint: 'http://localhost:9/rl/x' }, '10.9.9.12');
+  }
+});
+
+// ─── End to end against the stand-in ─────────────────────────────────────────
+test('push-send announces the set once and reminds lapsing streaks at 8pm ET', async () => {
+  const svc = await pushService();
+  try {
+    const { openStore } = await import('../netlify/lib/store.mjs');
+    const { vapid, webpushSender } = await lib();
+    const { run } = await sender();
+
+    const lapsing = browser(`${svc.url}/push/lapsing`);
+    const played  = browser(`${svc.url}/push/played`);
+    const expired = browser(`${svc.url}/gone/expired`);
+    const french  = browser(`${svc.url}/push/french`);
+    assert.equal((await api('POST', { ...lapsing, streak: 6, lastDay: '20260313' })).status, 200);
+    assert.equal((await api('POST', { ...french,  streak: 1, lastDay: '20260314', locale: 'fr' })).status, 200);
+    assert.equal((await api('POST', { ...played,  streak: 2, lastDay: '20260314' })).status, 200);
+    assert.equal((await api('POST', { ...expired, streak: 9, lastDay: '20260313' })).status, 200);
+
+    const ctx = {
+      store: openStore('push'),
+      getDaily: async locale => (locale === 'fr' ? { day: '20260314', dayIndex: 203, theme: 'Espace' } : { day: '20260314', dayIndex: 203 }),
+      send: webpushSender(vapid()),
+    };
+
+    // morning: the set is announced to everyone, no reminders yet
+    let r = await run({ ...ctx, now: at('2026-03-14T14:00:00Z') });
+    assert.deepEqual(r.live, { sent: 3, skipped: 0, gone: 1, failed: 0 });
+    assert.equal(r.reminder, undefined);
+    const live = svc.got.find(p => p.path === '/push/lapsing');
+    assert.match(live.headers.authorization, /^vapid t=.+, k=/);
+    assert.equal(live.headers['content-encoding'], 'aes128gcm');
+    assert.equal(lapsing.read(live.body).title, 'Daily Five #203 is live');
+    const fr = french.read(svc.got.find(p => p.path === '/push/french').body);
+    assert.deepEqual([fr.title, fr.body], ['Daily Five #203 est en ligne', 'Thème du jour : Espace']);
+
+    // 8pm ET: only the lapsing streak hears back; the expired subscription is gone
+    svc.got.length = 0;
+    r = await run({ ...ctx, now: at('2026-03-15T00:30:00Z') });
+    assert.equal(r.live, undefined, 'announced once');
+    assert.deepEqual(r.reminder, { sent: 1, skipped: 2, gone: 0, failed: 0 });
+    assert.deepEqual(svc.got.map(p => p.path), ['/push/lapsing']);
+    assert.match(lapsing.read(svc.got[0].body).title, /6-day streak/);
+
+    svc.got.length = 0;
+    await run({ ...ctx, now: at('2026-03-15T01:30:00Z') });
+    assert.equal(svc.got.length, 0, 'reminded once');
+  } finally {
+    svc.close();
+  }
+});
+
+test('unsubscribing and rotating endpoints keep the store tidy', async () => {
+  const { openStore } = await import('../netlify/lib/store.mjs');
+  const { subKey } = await lib();
+  const store = openStore('push');
+  const a = browser('http://localhost:9/rot/a'), b = browser('http://localhost:9/rot/b');
+  await api('POST', { ...a, streak: 3, lastDay: '20260313' });
+  await api('POST', { subscription: b.subscription, previous: a.subscription.endpoint });
+  assert.equal(await store.get(subKey(a.subscription.endpoint), { type: 'json' }), null);
+  assert.equal((await store.get(subKey(b.subscription.endpoint), { type: 'json' })).streak, 3, 'streak carried over');
+  await api('DELETE', { endpoint: b.subscription.endpoint });
+  assert.equal(await store.get(subKey(b.subscription.endpoint), { type: 'json' }), null);
+});
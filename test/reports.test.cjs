@@ -0,0 +1,110 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+process.env.DF_BLOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'df-blobs-'));
+process.env.REPORTS_TOKEN = 'mod-secret';
+const load = () => import('../netlify/functions/reports.mjs');
+const cli = require('../scripts/reports.cjs');
+const gen = require('../scripts/generate-daily.cjs');
+
+const rep = (over = {}) => ({
+  cid: 'client-aaaaaaaa', day: '20260314', text: 'What is the capital of Australia?', answer: 'Sydney', reason: 'wrong', ...over,
+});
+const call = async (method, body, { query = '', token } = {}) => {
+  const { default: handler } = await load();
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  const res = await handler(new Request(`http://x/api/reports${query}`, { method, headers, body: body && JSON.stringify(body) }));
+  return { status: res.status, body: await res.json() };
+};
+// Lets the CLI talk straight to the handler instead of a running site
+const viaHandler = async (url, init) => {
+  const { default: handler } = await load();
+  return handler(new Request(url, init));
+};
+
+// ─── Submitting ──────────────────────────────────────────────────────────────
+test('validate checks the day, question and reason', async () => {
+  const { validate } = await load();
+  assert.equal(validate(rep()), null);
+  assert.match(validate(rep({ day: '2026-03-14' })), /YYYYMMDD/);
+  assert.match(validate(rep({ answer: ' ' })), /answer/);
+  assert.match(validate(rep({ reason: 'boring' })), /reason must be one of/);
+  assert.match(validate(rep({ locale: 'de' })), /locale must be one of/);
+  assert.match(validate(rep({ note: 'x'.repeat(281) })), /note/);
+});
+
+test('reports are keyed by day + qKey and counted once per client', async () => {
+  const a = await call('POST', rep({ day: '20260401', note: 'It is Canberra' }));
+  assert.equal(a.status, 200);
+  assert.equal(a.body.key, gen.qKey('What is the capital of Australia?', 'Sydney'));
+  assert.equal(a.body.count, 1);
+  assert.equal((await call('POST', rep({ day: '20260401', reason: 'typo' }))).body.count, 1, 'same client again');
+  assert.equal((await call('POST', rep({ day: '20260401', cid: 'client-bbbbbbbb', reason: 'ambiguous' }))).body.count, 2);
+
+  const { body } = await call('GET', null, { token: 'mod-secret' });
+  const r = body.reports.find(x => x.day === '20260401');
+  assert.deepEqual(r.reasons, { wrong: 1, ambiguous: 1, offensive: 0, typo: 0 });
+  assert.deepEqual(r.notes, ['It is Canberra']);
+  assert.equal(r.reporters, undefined, 'reporter hashes stay private');
+});
+
+test('reports are rate limited per client id', async () => {
+  const { LIMIT } = await load();
+  const cid = 'client-ratelimit';
+  for (let i = 0; i < LIMIT.max; i++) {
+    assert.equal((await call('POST', rep({ cid, text: `Question ${i}?` }))).status, 200);
+  }
+  assert.equal((await call('POST', rep({ cid, text: 'One too many?' }))).status, 429);
+});
+
+// ─── Moderation ──────────────────────────────────────────────────────────────
+test('listing and resolving need the moderator token', async () => {
+  assert.equal((await call('GET')).status, 403);
+  assert.equal((await call('GET', null, { token: 'nope-nope-' })).status, 403);
+  assert.equal((await call('PATCH', { day: '20260401', key: '00000000', status: 'confirmed' })).status, 403);
+  assert.equal((await call('GET', null, { token: 'mod-secret', query: '?status=odd' })).status, 400);
+  assert.equal((await call('PATCH', { day: '20260401', key: '00000000', status: 'confirmed' }, { token: 'mod-secret' })).status, 404);
+});
+
+test('the CLI lists, dismisses and confirms — confirming fills the blocklist', async () => {
+  const day = '20260402', text = 'How many legs does a spider have?';
+  const keep = (await call('POST', rep({ day, text, answer: '6' }))).body.key;
+  const drop = (await call('POST', rep({ day, text: 'Who painted the Mona Lisa?', answer: 'Leonardo da Vinci', reason: 'typo' }))).body.key;
+  const blocklist = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'df-block-')), 'blocklist.json');
+  const lines = [];
+  const opts = { site: 'http://x', token: 'mod-secret', blocklist, fetchImpl: viaHandler, log: l => lines.push(l) };
+
+  assert.equal(await cli.run(['list'], opts), 0);
+  assert.ok(lines.some(l => l.includes(keep) && l.includes(text)));
+
+  assert.equal(await cli.run(['dismiss', day, drop], opts), 0);
+  assert.equal(await cli.run(['confirm', day, keep], opts), 0);
+  assert.equal(await cli.run(['confirm', day, keep], opts), 0, 'confirming twice is harmless');
+  const doc = JSON.parse(fs.readFileSync(blocklist, 'utf8'));
+  assert.deepEqual(doc.blocked, [{ key: keep, day, text, answer: '6', reasons: ['wrong'] }]);
+
+  lines.length = 0;
+  await cli.run(['list'], opts);
+  assert.ok(!lines.some(l => l.includes(keep) || l.includes(drop)), 'resolved reports leave the open queue');
+  await cli.run(['list', '--status', 'dismissed'], opts);
+  assert.ok(lines.some(l => l.includes(drop)));
+
+  assert.deepEqual(gen.loadBlocklist(blocklist), new Set([keep]));
+  assert.equal(await cli.run(['confirm', 'soon', keep], opts), 2);
+  assert.equal(await cli.run(['list'], { ...opts, token: '' }), 2);
+});
+
+test('reports remember the locale, and a confirmed one carries it into the blocklist', async () => {
+  const day = '20260403', text = '¿Cuántas patas tiene una araña?';
+  const { body } = await call('POST', rep({ day, locale: 'es', text, answer: '6' }));
+  const blocklist = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'df-block-')), 'blocklist.json');
+  const lines = [];
+  const opts = { site: 'http://x', token: 'mod-secret', blocklist, fetchImpl: viaHandler, log: l => lines.push(l) };
+  await cli.run(['list'], opts);
+  assert.ok(lines.some(l => l.includes(`${body.key} (es)`)));
+  await cli.run(['confirm', day, body.key], opts);
+  assert.equal(JSON.parse(fs.readFileSync(blocklist, 'utf8')).blocked[0].locale, 'es');
+});
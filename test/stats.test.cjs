@@ -0,0 +1,165 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const core = require('../daily-core.js');
+const { playSecret } = require('../netlify/lib/seal.cjs');
+const { playDay, post: postTo } = require('./helpers/play.cjs');
+
+process.env.DF_BLOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'df-blobs-'));
+process.env.DF_SITE_DIR  = fs.mkdtempSync(path.join(os.tmpdir(), 'df-site-'));
+const load = () => import('../netlify/functions/stats.mjs');
+const TODAY = core.etDay();
+// Only today's set can be played, so each endpoint test starts from empty blobs of its own
+const isolate = () => { process.env.DF_BLOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'df-blobs-')); };
+
+const game = over => playDay({ day: TODAY, ...over });
+const sub = (over = {}) => ({
+  cid: 'client-aaaaaaaa', day: '20260314', correct: 3, score: 450,
+  results: ['good', 'good', 'bad', 'good', 'skip'], ticket: 'x.y', ...over,
+});
+const post = body => postTo('stats', body);
+const played = async over => post(await game(over));
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+test('validate rejects malformed or inconsistent submissions', async () => {
+  const { validate, MAX_SCORE } = await load();
+  assert.equal(validate(sub()), null);
+  assert.match(validate(sub({ day: '2026-03-14' })), /YYYYMMDD/);
+  assert.match(validate(sub({ locale: 'de' })), /locale must be one of/);
+  assert.match(validate(sub({ results: ['good'] })), /5 of/);
+  assert.match(validate(sub({ correct: 4 })), /does not match/);
+  assert.match(validate(sub({ score: MAX_SCORE + 1 })), /range/);
+  assert.match(validate(sub({ correct: 0, score: 100, results: ['bad', 'bad', 'bad', 'bad', 'skip'] })), /does not match/);
+  assert.match(validate(sub({ ticket: undefined })), /ticket is required/);
+});
+
+// ─── Distribution ────────────────────────────────────────────────────────────
+test('summarize ranks against the other players only', async () => {
+  const { emptyDay, tally, summarize } = await load();
+  const doc = emptyDay();
+  tally(doc, sub({ correct: 1, score: 150, results: ['good', 'bad', 'bad', 'bad', 'bad'] }));
+  tally(doc, sub());
+  tally(doc, sub({ correct: 5, score: 700, results: Array(5).fill('good') }));
+  const s = summarize('20260314', doc, 420, true);
+  assert.equal(s.players, 3);
+  assert.equal(s.percentile, 50);
+  assert.deepEqual(s.dist, [0, 1, 0, 1, 0, 1]);
+  assert.deepEqual(s.questions, [100, 67, 33, 67, 33]);
+  assert.equal(summarize('20260314', emptyDay(), 100).percentile, null);
+});
+
+// ─── Endpoint ────────────────────────────────────────────────────────────────
+test('the first player is told so, the second gets a real percentile', async () => {
+  isolate();
+  const a = await played();
+  assert.equal(a.status, 200);
+  assert.equal(a.body.players, 1);
+  assert.equal(a.body.percentile, null);
+  const b = await played({ cid: 'client-bbbbbbbb', results: Array(5).fill('good') });
+  assert.equal(b.body.players, 2);
+  assert.equal(b.body.percentile, 100);
+  assert.deepEqual(b.body.questions, [100, 100, 50, 100, 50]);
+});
+
+test('a client is counted once per day, with its first score', async () => {
+  isolate();
+  await played();
+  const again = await played({ results: Array(5).fill('good') });
+  assert.equal(again.status, 200);
+  assert.equal(again.body.players, 1);
+  assert.deepEqual(again.body.dist, [0, 0, 0, 1, 0, 0]);
+});
+
+test('each locale keeps its own tally for the same day', async () => {
+  const { default: handler, dayKey } = await load();
+  assert.equal(dayKey('20260404'), 'day/20260404');
+  assert.equal(dayKey('20260404', 'es'), 'day/20260404.es');
+  isolate();
+  await played();
+  const es = await played({ locale: 'es', results: Array(5).fill('good') });
+  assert.equal(es.body.players, 1, 'the same client plays the Spanish set separately');
+  assert.deepEqual(es.body.dist, [0, 0, 0, 0, 0, 1]);
+  const en = await (await handler(new Request(`http://x/api/stats?day=${TODAY}&locale=en`))).json();
+  assert.deepEqual(en.dist, [0, 0, 0, 1, 0, 0]);
+  assert.equal((await handler(new Request(`http://x/api/stats?day=${TODAY}&locale=xx`))).status, 400);
+});
+
+test('submissions are rate limited per client id', async () => {
+  const { LIMIT } = await load();
+  isolate();
+  const cid = 'client-ratelimit', g = await game({ cid });
+  for (let i = 0; i < LIMIT.max; i++) assert.equal((await post({ ...g, score: g.score + 5 })).status, 400);
+  assert.equal((await post(g)).status, 429);
+  assert.equal((await played({ cid: 'client-someoneelse' })).status, 200);
+});
+
+test('GET reports a day without recording, and bad requests get a 400', async () => {
+  const { default: handler } = await load();
+  isolate();
+  await played();
+  const res = await handler(new Request(`http://x/api/stats?day=${TODAY}&score=500`));
+  const s = await res.json();
+  assert.equal(s.players, 1, 'the GET itself is not counted');
+  assert.equal(s.percentile, 100);
+  assert.equal((await post({ ...sub(), cid: undefined })).status, 400);
+  assert.equal((await handler(new Request('http://x/api/stats?day=nope'))).status, 400);
+});
+
+// ─── Verification ────────────────────────────────────────────────────────────
+test('only a score that replays from the signed answer log is counted', async () => {
+  isolate();
+  const g = await game({ cid: 'client-verify01', results: ['good', 'good', 'good', 'bad', 'good'], ms: 3500 });
+  assert.equal(g.score, 4 * (100 + 9 * 5), 'the time bonus comes from the logged ms');
+
+  const forged = await post({ ...g, correct: 5, score: 5 * 145, results: Array(5).fill('good') });
+  assert.equal(forged.status, 400);
+  assert.match(forged.body.error, /does not match the answer log/);
+  assert.match((await post({ ...g, score: g.score + 5 })).body.error, /does not match/);
+  assert.match((await post({ ...g, ticket: g.ticket.replace(/.$/, c => (c === 'A' ? 'B' : 'A')) })).body.error, /not valid/);
+  assert.match((await post({ ...g, cid: 'client-cccccccc' })).body.error, /another game/);
+  assert.match((await post({ ...g, locale: 'fr' })).body.error, /another game/);
+
+  const ok = await post(g);
+  assert.equal(ok.status, 200);
+  assert.deepEqual(ok.body.dist, [0, 0, 0, 0, 1, 0]);
+});
+
+test('a game for a day with no published set is refused', async () => {
+  isolate();
+  const { signTicket, openTicket } = await import('../netlify/lib/play.mjs');
+  const g = await game({ cid: 'client-verify02' });
+  fs.rmSync(path.join(process.env.DF_SITE_DIR, 'archive', `${TODAY}.json`));
+  const key = playSecret();
+  isolate();   // a new key: the set opened for the game isn't cached under it
+  const r = await post({ ...g, ticket: signTicket(openTicket(g.ticket, key), playSecret()) });
+  assert.equal(r.status, 404);
+  assert.match(r.body.error, /no published set/);
+});
+
+test('a late game is not counted', async () => {
+  isolate();
+  const { signTicket, openTicket, playSecret } = await import('../netlify/lib/play.mjs');
+  const g = await game({ cid: 'client-verify04' });
+  const late = signTicket({ ...openTicket(g.ticket, playSecret()), late: true }, playSecret());
+  const r = await post({ ...g, ticket: late });
+  assert.equal(r.status, 400);
+  assert.match(r.body.error, /longer than it says/);
+});
+
+test('a game is only counted while its day is being played', async () => {
+  isolate();
+  const { verifyPlay, playSecret } = await import('../netlify/lib/play.mjs');
+  const g = await game({ cid: 'client-verify03' });
+  const id = (await import('../netlify/lib/http.mjs')).clientKey(g.cid);
+  const store = (await import('../netlify/lib/store.mjs')).openStore('play');
+  const at = days => Date.now() + days * 86_400_000;
+  assert.ok((await verifyPlay(g, id, { store, secret: playSecret(), now: at(0) })).played);
+  for (const days of [2, -1]) {
+    const r = await verifyPlay(g, id, { store, secret: playSecret(), now: at(days) });
+    assert.equal(r.status, 400);
+    assert.match(r.error, /not being played now/);
+  }
+});
@@ -0,0 +1,135 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+const vm     = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const core = require('../daily-core.js');
+
+// Evaluate sw.js with a stub `self` and pull out its top-level constants.
+const sw = (() => {
+  const ctx = { self: { addEventListener() {}, location: { origin: 'https://playdailyfive.com' } } };
+  ctx.importScripts = url => vm.runInContext(fs.readFileSync(path.join(ROOT, url), 'utf8'), ctx);
+  vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8') +
+    '\n;this.out = { VERSION, SHELL_CACHE, SHELL_ASSETS, DATA_PREFETCH };', ctx);
+  return ctx.out;
+})();
+
+/**
+ * Runs sw.js against an in-memory CacheStorage and a `fetch` the test swaps
+ * out, and returns a `get(url, init)` that dispatches a fetch event to it —
+ * resolving with what the worker responded, or undefined when it let the
+ * request through.
+ */
+function worker() {
+  const listeners = {}, stores = {};
+  const keyOf = k => typeof k === 'string' ? k : k.url;
+  const caches = {
+    async open(name) {
+      const m = stores[name] ||= new Map();
+      return {
+        async match(k) { return m.get(keyOf(k))?.clone(); },
+        async put(k, res) { m.set(keyOf(k), res); },
+      };
+    },
+  };
+  const w = { stores, fetch: async () => { throw new TypeError('Failed to fetch'); } };
+  const ctx = {
+    self: { addEventListener: (type, fn) => { listeners[type] = fn; }, location: { origin: 'https://playdailyfive.com' } },
+    caches, fetch: (...args) => w.fetch(...args), Request, Response, Headers, URL,
+  };
+  ctx.importScripts = url => vm.runInContext(fs.readFileSync(path.join(ROOT, url), 'utf8'), ctx);
+  vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), ctx);
+  w.get = (url, { mode, ...init } = {}) => {
+    let res;
+    const request = new Request(new URL(url, ctx.self.location.origin), init);
+    if (mode) Object.defineProperty(request, 'mode', { value: mode });   // Node won't build a 'navigate' Request
+    listeners.fetch({ request, respondWith: p => { res = p; } });
+    return res;
+  };
+  return w;
+}
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('every precached asset ships with the site', () => {
+  for (const url of [...sw.SHELL_ASSETS, ...sw.DATA_PREFETCH]) {
+    if (url === '/' || /^\/daily\.\w+\.json$/.test(url)) continue;   // the other locales' sets come from the daily run
+    assert.ok(fs.existsSync(path.join(ROOT, url)), `${url} is precached but missing`);
+  }
+});
+
+test('the shell precache covers what index.html loads', () => {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const local = [...html.matchAll(/(?:src|href)="(\/[^"/][^"]*)"/g)].map(m => m[1]);
+  assert.ok(local.length > 0);
+  for (const url of local) assert.ok(sw.SHELL_ASSETS.includes(url), `${url} is not precached`);
+});
+
+test('the shell cache is versioned', () => {
+  assert.ok(sw.SHELL_CACHE.endsWith(sw.VERSION));
+});
+
+test('the data precache holds the daily set of every locale', () => {
+  for (const l of core.LOCALES) assert.ok(sw.DATA_PREFETCH.includes('/' + core.localeFile('daily.json', l)), l);
+});
+
+// ─── Fetch handlers ──────────────────────────────────────────────────────────
+test('puzzle data comes from the network, keyed without the cache-buster', async () => {
+  const w = worker();
+  w.fetch = async () => new Response('{"day":"20261019"}', { headers: { 'Content-Type': 'application/json' } });
+  const res = await w.get('/daily.json?v=1');
+  assert.equal(await res.text(), '{"day":"20261019"}');
+  assert.equal(res.headers.get('X-DF-Offline'), null);
+  await settle();
+  assert.deepEqual([...w.stores['dailyfive-data'].keys()], ['/daily.json']);
+});
+
+test('offline, puzzle data falls back to the last copy, flagged X-DF-Offline', async () => {
+  const w = worker();
+  w.fetch = async () => new Response('{"day":"20261018"}', { headers: { 'Content-Type': 'application/json' } });
+  await w.get('/daily.json?v=1');
+  await settle();
+  w.fetch = async () => { throw new TypeError('Failed to fetch'); };
+  const res = await w.get('/daily.json?v=2');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('X-DF-Offline'), '1');
+  assert.equal(res.headers.get('Content-Type'), 'application/json');
+  assert.equal(await res.text(), '{"day":"20261018"}');
+  await assert.rejects(w.get('/archive/20261001.json'), /Failed to fetch/, 'nothing cached, nothing to fall back to');
+});
+
+test('a failed data response is passed on but never replaces the cached copy', async () => {
+  const w = worker();
+  w.fetch = async () => new Response('{"day":"20261018"}');
+  await w.get('/daily.json');
+  await settle();
+  w.fetch = async () => new Response('not found', { status: 404 });
+  assert.equal((await w.get('/daily.json')).status, 404);
+  await settle();
+  assert.equal(await w.stores['dailyfive-data'].get('/daily.json').text(), '{"day":"20261018"}');
+});
+
+test('the shell is served from cache and refreshed in the background', async () => {
+  const w = worker();
+  w.fetch = async () => new Response('<p>v1</p>');
+  assert.equal(await (await w.get('/', { mode: 'navigate' })).text(), '<p>v1</p>', 'first visit goes to the network');
+  await settle();
+
+  w.fetch = async () => new Response('<p>v2</p>');
+  assert.equal(await (await w.get('/?day=20261019', { mode: 'navigate' })).text(), '<p>v1</p>', 'the cached shell answers first');
+  await settle();
+  assert.equal(await w.stores[`dailyfive-shell-${sw.VERSION}`].get('/index.html').clone().text(), '<p>v2</p>');
+  assert.equal(await (await w.get('/', { mode: 'navigate' })).text(), '<p>v2</p>', 'the refreshed copy is served next time');
+
+  w.fetch = async () => { throw new TypeError('Failed to fetch'); };
+  assert.equal(await (await w.get('/', { mode: 'navigate' })).text(), '<p>v2</p>', 'offline still opens');
+  assert.equal((await w.get('/strings.js')).type, 'error', 'nothing cached and offline is a network error');
+});
+
+test('API calls and the worker itself are never intercepted', () => {
+  const w = worker();
+  assert.equal(w.get('/api/play?day=20261019'), undefined);
+  assert.equal(w.get('/sw.js'), undefined);
+  assert.equal(w.get('/api/stats', { method: 'POST', body: '{}' }), undefined);
+});
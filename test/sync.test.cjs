@@ -0,0 +1,57 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const core = require('../daily-core.js');
+
+process.env.DF_BLOBS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'df-sync-'));
+const load = () => import('../netlify/functions/sync.mjs');
+const call = async (method, body, query = '', ip = '10.0.0.1') => {
+  const { default: handler } = await load();
+  const res = await handler(new Request(`http://x/api/sync${query}`, { method, body: body && JSON.stringify(body) }), { ip });
+  const type = res.headers.get('Content-Type');
+  return { status: res.status, type, body: type.includes('json') ? await res.json() : await res.text() };
+};
+const docFor = (...days) => core.statsDoc(days.reduce((s, d) => core.applyPlay(s, 4, d),
+  { streak: 0, best: 0, played: 0, perfects: 0, lastDay: '', history: [], badges: [] }));
+
+test('sync codes are short, unambiguous and forgiving to type', async () => {
+  const { newCode, normCode } = await load();
+  assert.match(newCode(), /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+  assert.equal(normCode(' k7qm 3xpa '), 'K7QM-3XPA');
+  assert.equal(normCode('K7QM-3XP0'), null, 'no zeros');
+  assert.equal(normCode('K7QM'), null);
+});
+
+test('a second device links with the code and both end up with the merged stats', async () => {
+  const made = await call('POST', { doc: docFor('20260310', '20260311') });
+  assert.equal(made.status, 201);
+  const { code } = made.body;
+
+  const linked = await call('PUT', { code: code.toLowerCase(), doc: docFor('20260312') });
+  assert.equal(linked.status, 200);
+  assert.equal(linked.body.code, code);
+  assert.equal(linked.body.doc.stats.streak, 3);
+  assert.equal(linked.body.doc.stats.played, 3);
+
+  const back = await call('GET', null, `?code=${code}`);
+  assert.deepEqual(back.body.doc, linked.body.doc);
+});
+
+test('unknown codes, junk documents and QR requests', async () => {
+  assert.equal((await call('PUT', { code: 'AAAA-BBBB', doc: docFor('20260312') })).status, 404);
+  assert.equal((await call('POST', { doc: { streak: 100 } })).status, 400);
+  const { code } = (await call('POST', { doc: docFor('20260312') })).body;
+  const qr = await call('GET', null, `?code=${code}&qr=1`);
+  assert.equal(qr.type, 'image/svg+xml');
+  assert.match(qr.body, /^<svg/);
+});
+
+test('requests are rate limited per address', async () => {
+  const { LIMIT } = await load();
+  for (let i = 0; i < LIMIT.max; i++) await call('GET', null, '?code=AAAA-BBBB', '10.9.9.9');
+  assert.equal((await call('GET', null, '?code=AAAA-BBBB', '10.9.9.9')).status, 429);
+  assert.equal((await call('GET', null, '?code=AAAA-BBBB', '10.9.9.8')).status, 404);
+});